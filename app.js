@@ -28,12 +28,35 @@ if (window.gsap && window.MotionPathPlugin) {
 const state = {
   theme: 'classic',
   pattern: 'plain',
+  font: 'Playfair Display',
+  palette: { root: 'C', scale: 'major', octave: 4, octaves: 1 }, // see normalizePalette
+  mapping: { strategy: 'cyclic', overrides: {}, uppercase: 'accent', punctuation: true, unit: 'character' }, // see normalizeMapping
+  mappingPresets: {}, // name -> mapping, saved with the letter
+  tuning: null, // imported Scala tuning (see parseScalaTuning); null = 12-TET
+  accompaniment: { style: 'off', span: 'line' }, // style: off | chords | arpeggio | bass; span: line | word
+  percussion: false, // drum hits on spaces, line breaks and punctuation
+  spatial: false, // pan by horizontal position, darken by line (see placeNotesInSpace)
   synth: null,
-  effects: { reverb: null, delay: null },
+  backing: null, // accompaniment instrument
+  drums: null, // percussion kit (see createDrumKit)
+  spatialStage: null, // melody filters + panners, one per lane (see createSpatialStage)
+  voices: {}, // sound preset -> instrument for line voices (see ensureVoiceInstruments)
+  lineVoices: {}, // line index -> { sound, octave }; lines without one continue the voice above
+  soundPreset: null, // null = the theme's default voice
+  effectsRack: [], // ordered [{ type, ...params }] (see EFFECT_TYPES); set in init
+  rackPresets: {}, // name -> { sound, effects }, saved with the letter
+  effects: null, // live chain built from effectsRack (see createEffectsChain)
   keyToNote: {},
-  events: [], // { char, note, time, x, y }
+  events: [], // { char, note, time, x, y, duration?, velocity? }
+  caret: 0, // insertion index into events
+  selectionAnchor: null, // other end of the selection (null = none)
+  dragSelecting: false,
+  clipboard: null, // { text, events } copied from the letter
+  noteEditorEvent: null, // event shown in the note popover
+  composing: false, // an IME composition is in progress
   lastKeyTs: 0,
-  inactivityMs: 2500,
+  inactivityMs: 2500, // idle time before playback starts by itself
+  loop: { enabled: false, bars: 4 }, // live loop mode (see startLiveLoop)
   scheduledTimeout: null,
   animationMode: 'arc', // 'arc' | 'physics'
   align: 'left', // 'left' | 'center' | 'right' | 'justify'
@@ -51,11 +74,19 @@ const state = {
     settleCounter: 0,
     snapped: false,
   },
+  // Local letter library (IndexedDB)
+  library: {
+    currentId: null,
+    lastVersionAt: 0,
+    autosaveTimer: null,
+    restoring: false,
+  },
   // Playback state (so we can rebuild paths when layout changes)
   playback: {
     tl: null,
-    part: null,
+    parts: [], // Tone.Parts for the melody, accompaniment and drums
     isPlaying: false,
+    looping: false, // the Transport is repeating a live loop
   },
 };
 
@@ -68,13 +99,22 @@ const CONFIG = {
     FAST_TYPING_THRESHOLD: 150, // ms between keystrokes
   },
   STORAGE: {
-    KEY: 'music-letter-v2',
-    ENABLED: false, // Disable persistence for now
+    KEY: 'music-letter-v2', // legacy localStorage key, removed on start-up
+    ENABLED: true,
+    DB_NAME: 'music-letter',
+    DB_VERSION: 3, // 2: 'samples' store for uploaded instruments; 3: 'themes' for theme packs
+    AUTOSAVE_DELAY_MS: 800,
+    VERSION_INTERVAL_MS: 2 * 60 * 1000, // automatic version snapshot at most this often
+    MAX_VERSIONS: 50, // per letter
   },
   AUDIO: {
     MASTER_VOLUME: -12, // dB
+    // Default effects rack: delay into reverb
     REVERB_DECAY: 2.0,
+    REVERB_WET: 0.22,
     DELAY_TIME: 0.18,
+    DELAY_FEEDBACK: 0.18,
+    DELAY_WET: 0.16,
   }
 };
 
@@ -98,73 +138,338 @@ const playbackTuning = {
   playheadXAnchor: -1,
   // Groove/tempo
   tempoBpm: 96,              // transport tempo used to quantize bounces
-  gridSubdivision: 2,        // 1 = quarter, 2 = eighth, 4 = sixteenth
+  referenceBpm: 96,          // tempo at which typed timing plays back unscaled
+  gridSubdivision: 2,        // 0 = off, 1 = quarter, 2 = eighth, 4 = sixteenth, 3/6 = triplets
+  quantizeStrength: 1,       // 0 = typed timing, 1 = snapped to the grid
+  swing: 0,                  // 0-1; 1 delays off-beats to a triplet shuffle
+  humanizeMs: 0,             // +/- timing jitter, deterministic per note
+  noteDurationSec: 0.22,     // length of each played note
+  renderTailSec: 2.0,        // extra render time after the last note for reverb tails
+};
+
+// Rhythm used to give pasted or dropped text the feel of being typed
+const typingRhythm = {
+  charsPerSecond: 6,          // steady typing speed between ordinary characters
+  variation: 0.2,             // +/- fraction of each gap, deterministic per position
+  // Gap multipliers applied after these characters
+  pauses: {
+    ' ': 1.6,
+    ',': 3, ';': 3, ':': 3,
+    '.': 5, '!': 5, '?': 5,
+    '\n': 7,
+  },
 };
 
+// How case and punctuation shape newly typed notes
+const expressionTuning = {
+  baseVelocity: 0.8,          // ordinary letters
+  accentVelocity: 1.0,        // capitals in accent mode
+  accentDurationSec: 0.3,
+  commaRestSec: 0.25,         // silence a comma adds before the next note
+  cadenceDurationSec: 0.5,    // notes for . ? !
+  exclamationBoost: 0.2,      // velocity added to the sentence an ! closes
+};
+
+const UPPERCASE_MODES = ['accent', 'octave', 'none'];
+
+// Theme packs by id. The built-in ones take their colors from styles.css and
+// their voice from createThemeInstrument; imported packs (see normalizeThemePack)
+// may also carry CSS variables, a pattern, letter spacing, an instrument,
+// effects and a playhead.
 const themes = {
   classic: {
-    fontFamily: 'Playfair Display',
-    soundPalette: 'majorC',
+    name: 'Classic',
+    font: 'Playfair Display',
+    palette: { root: 'C', scale: 'major', octave: 4, octaves: 1 },
   },
   midnight: {
-    fontFamily: 'Poppins',
-    soundPalette: 'minorA',
+    name: 'Midnight',
+    font: 'Poppins',
+    palette: { root: 'A', scale: 'naturalMinor', octave: 3, octaves: 1 },
   },
   pastel: {
-    fontFamily: 'Playfair Display',
-    soundPalette: 'pentatonicC',
+    name: 'Pastel',
+    font: 'Playfair Display',
+    palette: { root: 'C', scale: 'majorPentatonic', octave: 4, octaves: 1 },
   },
 };
+const BUILT_IN_THEMES = Object.keys(themes);
+
+// Settings a theme falls back to when it leaves them out, so moving off a pack
+// undoes its pattern and playhead (and its rack, see setTheme)
+const THEME_DEFAULTS = { pattern: 'plain', playhead: 'classic' };
+
+/* Palettes: a root note, a scale and an octave range */
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Semitone offsets from the root
+const SCALES = {
+  major: [0, 2, 4, 5, 7, 9, 11],
+  naturalMinor: [0, 2, 3, 5, 7, 8, 10],
+  harmonicMinor: [0, 2, 3, 5, 7, 8, 11],
+  melodicMinor: [0, 2, 3, 5, 7, 9, 11],
+  dorian: [0, 2, 3, 5, 7, 9, 10],
+  phrygian: [0, 1, 3, 5, 7, 8, 10],
+  lydian: [0, 2, 4, 6, 7, 9, 11],
+  mixolydian: [0, 2, 4, 5, 7, 9, 10],
+  locrian: [0, 1, 3, 5, 6, 8, 10],
+  majorPentatonic: [0, 2, 4, 7, 9],
+  minorPentatonic: [0, 3, 5, 7, 10],
+  blues: [0, 3, 5, 6, 7, 10],
+  wholeTone: [0, 2, 4, 6, 8, 10],
+  diminished: [0, 2, 3, 5, 6, 8, 9, 11],
+  phrygianDominant: [0, 1, 4, 5, 7, 8, 10],
+  hungarianMinor: [0, 2, 3, 6, 7, 8, 11],
+  hirajoshi: [0, 2, 3, 7, 8],
+  inSen: [0, 1, 5, 7, 10],
+  chromatic: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+};
+
+// Palette names saved by earlier versions
+const LEGACY_PALETTES = {
+  majorC: { root: 'C', scale: 'major', octave: 4, octaves: 1 },
+  minorA: { root: 'A', scale: 'naturalMinor', octave: 3, octaves: 1 },
+  pentatonicC: { root: 'C', scale: 'majorPentatonic', octave: 4, octaves: 1 },
+};
+
+// Accept a legacy name or a partial { root, scale, octave, octaves } object
+function normalizePalette(palette) {
+  const spec = typeof palette === 'string' ? LEGACY_PALETTES[palette] : palette;
+  const root = NOTE_NAMES.includes(spec?.root) ? spec.root : 'C';
+  const scale = SCALES[spec?.scale] ? spec.scale : 'major';
+  const octave = Math.max(1, Math.min(6, Math.round(Number(spec?.octave) || 4)));
+  const octaves = Math.max(1, Math.min(3, Math.round(Number(spec?.octaves) || 1)));
+  return { root, scale, octave, octaves };
+}
+
+function samePalette(a, b) {
+  return ['root', 'scale', 'octave', 'octaves'].every(k => a?.[k] === b?.[k]);
+}
+
+// Ascending notes for a palette, closed by the root above the range
+function paletteNotes(palette) {
+  const { octaves } = normalizePalette(palette);
+  const degrees = activeScale(palette).steps.length * octaves;
+  const notes = [];
+  for (let n = 0; n <= degrees; n += 1) notes.push(midiToNote(scaleDegreeMidi(palette, n)));
+  return notes;
+}
 
-/* Simple palettes */
-const palettes = {
-  majorC: ['C4','D4','E4','F4','G4','A4','B4','C5'],
-  minorA: ['A3','B3','C4','D4','E4','F4','G4','A4'],
-  pentatonicC: ['C4','D4','E4','G4','A4','C5'],
+// One period of the scale in use: semitone offsets from the root (fractional for
+// imported tunings) and the period size (12 unless a tuning repeats elsewhere)
+function activeScale(palette = state.palette) {
+  if (state.tuning) return { steps: state.tuning.steps, period: state.tuning.period };
+  return { steps: SCALES[normalizePalette(palette).scale], period: 12 };
+}
+
+// MIDI number (possibly fractional) of the palette root; a .kbm file pins it and
+// each octave the palette moves away from the anchor is one period of the tuning
+function paletteRootMidi(palette) {
+  const { root, octave } = normalizePalette(palette);
+  if (state.tuning?.anchor) {
+    const { rootMidi, octave: anchorOctave } = state.tuning.anchor;
+    return rootMidi + (octave - anchorOctave) * state.tuning.period;
+  }
+  return (octave + 1) * 12 + NOTE_NAMES.indexOf(root);
+}
+
+// Whole MIDI numbers become note names; microtonal pitches become frequencies (Hz)
+function midiToNote(midi) {
+  const rounded = Math.round(midi);
+  if (Math.abs(midi - rounded) < 0.001) return Tone.Frequency(rounded, 'midi').toNote();
+  return Number((440 * 2 ** ((midi - 69) / 12)).toFixed(3));
+}
+
+// Characters that get a note from the palette
+const KEY_CHARSET = 'abcdefghijklmnopqrstuvwxyz0123456789.,;:!?\'"()[]{}-_/\\|@#$%^&*+=<>~`';
+const LETTERS = 'abcdefghijklmnopqrstuvwxyz';
+const DIGITS = '0123456789';
+
+// MIDI number of the nth scale degree above the palette root (n may be negative)
+function scaleDegreeMidi(palette, n) {
+  const { steps, period } = activeScale(palette);
+  const octaveShift = Math.floor(n / steps.length);
+  const degree = n - octaveShift * steps.length;
+  return paletteRootMidi(palette) + octaveShift * period + steps[degree];
+}
+
+// Strategies re-assign letters and digits; anything they skip keeps the cyclic note
+const MAPPING_STRATEGIES = {
+  cyclic: () => ({}),
+  // Vowels take the upper half of the palette, consonants the lower half
+  vowelsHigh: (palette, pool) => {
+    const split = Math.ceil(pool.length / 2);
+    const low = pool.slice(0, split);
+    const high = pool.slice(split);
+    const out = {};
+    let vowels = 0;
+    let consonants = 0;
+    for (const ch of LETTERS) {
+      out[ch] = 'aeiouy'.includes(ch) ? high[vowels++ % high.length] : low[consonants++ % low.length];
+    }
+    return out;
+  },
+  // a..z and 0..9 climb once through the palette
+  alphabetical: (palette, pool) => {
+    const out = {};
+    const spread = (chars) => Array.from(chars).forEach((ch, i) => {
+      out[ch] = pool[Math.floor(i * pool.length / chars.length)];
+    });
+    spread(LETTERS);
+    spread(DIGITS);
+    return out;
+  },
+  // Each keyboard row is an octave, bottom row lowest, walking up the scale left to right
+  qwertyRows: (palette) => {
+    const steps = activeScale(palette).steps.length;
+    const out = {};
+    ['zxcvbnm', 'asdfghjkl', 'qwertyuiop', '1234567890'].forEach((row, r) => {
+      Array.from(row).forEach((ch, i) => {
+        out[ch] = midiToNote(scaleDegreeMidi(palette, (r - 1) * steps + i));
+      });
+    });
+    return out;
+  },
 };
 
-function buildKeyToNote(paletteName) {
-  const pool = palettes[paletteName] || palettes.majorC;
-  const mapping = {};
+// Normalize a note name such as "c4" or "F#3", or a frequency such as "261.6"
+// (kept as a number in Hz); null when it is neither
+function parseNoteName(value) {
+  if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value).trim())) {
+    const hz = Number(value);
+    return hz >= 8 && hz <= 20000 ? hz : null;
+  }
+  try {
+    const note = Tone.Frequency(String(value).trim()).toNote();
+    return /^[A-G]#?-?\d+$/.test(note) ? note : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function buildKeyToNote(palette, mapping = state.mapping) {
+  const pool = paletteNotes(palette);
+  const keyToNote = {};
   // Map letters, digits, and common punctuation to notes cyclically
-  const charset = 'abcdefghijklmnopqrstuvwxyz0123456789.,;:!?\'"()[]{}-_/\\|@#$%^&*+=<>~`';
-  for (let i = 0; i < charset.length; i += 1) {
-    const ch = charset[i];
-    mapping[ch] = pool[i % pool.length];
+  for (let i = 0; i < KEY_CHARSET.length; i += 1) {
+    keyToNote[KEY_CHARSET[i]] = pool[i % pool.length];
   }
+  const strategy = MAPPING_STRATEGIES[mapping?.strategy] || MAPPING_STRATEGIES.cyclic;
+  Object.assign(keyToNote, strategy(palette, pool));
   // Keep whitespace silent
-  mapping[' '] = null; // space: no note
-  mapping['\n'] = null; // enter: no note
-  return mapping;
+  keyToNote[' '] = null; // space: no note
+  keyToNote['\n'] = null; // enter: no note
+  // Hand-edited characters win over everything else
+  return Object.assign(keyToNote, mapping?.overrides);
 }
 
 function setTheme(theme) {
+  if (!themes[theme]) theme = 'classic';
+  const pack = themes[theme];
+  const previous = themes[state.theme];
+  // What the previous pack set and this theme doesn't goes back to the defaults;
+  // between built-in themes the user's own pattern, playhead and rack stay
+  const pattern = pack.pattern || (previous?.pattern && THEME_DEFAULTS.pattern);
+  const playhead = pack.playhead || (previous?.playhead && THEME_DEFAULTS.playhead);
+  const effects = pack.effects || (previous?.effects && defaultEffectsRack());
+  recordHistory();
   state.theme = theme;
   document.documentElement.setAttribute('data-theme', theme);
-  const font = themes[theme]?.fontFamily || 'Playfair Display';
-  // Apply font and spacing based on theme default
-  setFont(font);
-  // Update notes palette per theme
-  state.keyToNote = buildKeyToNote(themes[theme]?.soundPalette || 'majorC');
-  // Sync UI selector if present
-  const fontSelect = document.getElementById('fontSelect');
-  if (fontSelect) fontSelect.value = font;
-  const paletteSelect = document.getElementById('paletteSelect');
-  if (paletteSelect) paletteSelect.value = themes[theme]?.soundPalette || 'majorC';
+  applyThemeVariables(pack.cssVars);
+  const themeSelect = document.getElementById('themeSelect');
+  if (themeSelect) themeSelect.value = theme;
+  // Pattern, font and palette follow the theme as part of the same undo step
+  withHistorySuspended(() => {
+    if (pattern) setPattern(pattern);
+    // Apply font and spacing based on theme default
+    setFont(pack.font || 'Playfair Display');
+    // Update notes palette per theme
+    setPalette(pack.palette);
+  });
+  if (playhead) {
+    const playheadSelect = document.getElementById('playheadSelect');
+    if (playheadSelect) playheadSelect.value = playhead;
+    setPlayheadStyle(playhead);
+  }
+  if (effects) withHistorySuspended(() => setEffectsRack(effects));
   // Reconfigure synth if audio already started
   try {
     if (Tone.getContext().state === 'running' && state.synth) {
-      configureSynthForTheme(theme);
+      if (isSamplePreset(pack.instrument)) {
+        selectSound(pack.instrument).catch(error => console.error('Theme instrument failed:', error));
+      } else {
+        configureSynthForTheme(theme);
+      }
+    } else {
+      // ensureAudio builds this once audio starts
+      state.soundPreset = pack.instrument || null;
     }
   } catch (_) {}
 }
 
 function setPattern(pattern) {
+  if (pattern !== state.pattern) recordHistory();
   state.pattern = pattern;
   document.documentElement.setAttribute('data-pattern', pattern);
+  const patternSelect = document.getElementById('patternSelect');
+  if (patternSelect) patternSelect.value = pattern;
+  persistToStorage();
+}
+
+function setPalette(palette) {
+  const next = normalizePalette(palette);
+  if (!samePalette(next, state.palette)) recordHistory();
+  state.palette = next;
+  state.keyToNote = buildKeyToNote(next);
+  syncPaletteControls();
   persistToStorage();
 }
 
+function setMapping(mapping) {
+  const next = normalizeMapping(mapping);
+  if (JSON.stringify(next) === JSON.stringify(state.mapping)) return;
+  recordHistory();
+  state.mapping = next;
+  state.keyToNote = buildKeyToNote(state.palette);
+  if (isMappingPanelOpen()) renderMappingPanel();
+  persistToStorage();
+}
+
+// Accept a partial { strategy, overrides } object; invalid overrides are dropped
+function normalizeMapping(mapping) {
+  const strategy = MAPPING_STRATEGIES[mapping?.strategy] ? mapping.strategy : 'cyclic';
+  const uppercase = UPPERCASE_MODES.includes(mapping?.uppercase) ? mapping.uppercase : 'accent';
+  const punctuation = mapping?.punctuation !== false;
+  const unit = mapping?.unit === 'syllable' ? 'syllable' : 'character';
+  const overrides = {};
+  for (const [char, note] of Object.entries(mapping?.overrides || {})) {
+    if (Array.from(char).length !== 1) continue;
+    if (note === null) overrides[char.toLowerCase()] = null;
+    else if (parseNoteName(note)) overrides[char.toLowerCase()] = parseNoteName(note);
+  }
+  return { strategy, overrides, uppercase, punctuation, unit };
+}
+
+function syncPaletteControls() {
+  const { root, scale, octave, octaves } = state.palette;
+  const values = { keyRootSelect: root, scaleSelect: scale, octaveSelect: octave, octaveSpanSelect: octaves };
+  for (const [id, value] of Object.entries(values)) {
+    const el = document.getElementById(id);
+    if (el) el.value = String(value);
+  }
+}
+
+// Build a palette from the key/scale/octave selectors
+function readPaletteControls() {
+  const value = (id) => document.getElementById(id)?.value;
+  return normalizePalette({
+    root: value('keyRootSelect'),
+    scale: value('scaleSelect'),
+    octave: value('octaveSelect'),
+    octaves: value('octaveSpanSelect'),
+  });
+}
+
 function updateContainerHeight(container, positions) {
   if (positions.length === 0) return;
   
@@ -221,7 +526,14 @@ const fontLetterSpacingMap = new Map([
 ]);
 
 function setFont(fontFamily) {
-  const spacingEm = fontLetterSpacingMap.get(fontFamily) ?? 0.02;
+  if (fontFamily !== state.font) recordHistory();
+  state.font = fontFamily;
+  const fontPickerBtn = document.getElementById('fontPickerBtn');
+  if (fontPickerBtn) fontPickerBtn.textContent = fontFamily;
+  // A theme pack's letter spacing goes with the pack's own font
+  const pack = themes[state.theme];
+  const spacingEm = (pack?.font === fontFamily ? pack.letterSpacing : undefined)
+    ?? fontLetterSpacingMap.get(fontFamily) ?? 0.02;
   document.documentElement.style.setProperty('--font-serif', `'${fontFamily}', serif`);
   document.documentElement.style.setProperty('--letter-spacing', `${spacingEm}em`);
   // Recreate measurer so caret width estimates reflect the new metrics
@@ -246,7 +558,10 @@ function setFont(fontFamily) {
 }
 
 function setAlign(align) {
+  if (align !== state.align) recordHistory();
   state.align = align;
+  const alignSelect = document.getElementById('alignSelect');
+  if (alignSelect) alignSelect.value = align;
   document.documentElement.style.setProperty('--align', align);
   // Reflow to re-compute positions
   reflowExistingLetters();
@@ -261,277 +576,901 @@ function setAlign(align) {
   }
 }
 
-async function ensureAudio() {
+// Callers that arrive while audio is starting share the same start, so the
+// chain is built once
+function ensureAudio() {
   console.log('ensureAudio called, synth exists:', !!state.synth);
-  if (!state.synth) {
-    console.log('Starting Tone.js...');
-    await Tone.start();
-    console.log('Tone started, configuring synth for theme:', state.theme);
-    configureSynthForTheme(state.theme);
-    console.log('Synth configured:', !!state.synth);
+  if (state.synth) return Promise.resolve();
+  if (!ensureAudio.starting) {
+    ensureAudio.starting = startAudio().finally(() => { ensureAudio.starting = null; });
   }
+  return ensureAudio.starting;
+}
+
+async function startAudio() {
+  console.log('Starting Tone.js...');
+  await Tone.start();
+  console.log('Tone started, configuring synth for theme:', state.theme);
+  // A sound chosen before audio started (a pack's instrument, an undone
+  // pick, a restored letter) replaces the theme's voice; sample instruments load first
+  const preset = state.soundPreset;
+  configureSynthForTheme(state.theme);
+  if (preset && preset !== state.soundPreset) await selectSound(preset);
+  console.log('Synth configured:', !!state.synth);
 }
 
 // ============================================================================
 // AUDIO MANAGEMENT
 // ============================================================================
 
-function playNote(note) {
+// Previews sound in the voice of the line they belong to (the caret's by default)
+function playNote(note, velocity = 1, line = lineIndexAt(state.caret), duration = 0.25) {
   try {
     if (!note || !state.synth) return;
-    state.synth.triggerAttackRelease(note, 0.25);
+    const voiced = lineVoicePreview(note, line);
+    voiced.instrument.triggerAttackRelease(voiced.note, duration, undefined, velocity);
   } catch (error) {
     console.error('Error playing note:', error);
   }
 }
 
 function configureSynthForTheme(theme) {
+  // Theme changes fall back to the theme's own voice, or its pack's instrument
+  // (sample instruments are loaded by selectSound instead)
+  const instrument = themes[theme]?.instrument;
+  state.soundPreset = instrument && !isSamplePreset(instrument) ? instrument : null;
+  const soundSelect = document.getElementById('soundSelect');
+  if (soundSelect && state.soundPreset) soundSelect.value = state.soundPreset;
+  rebuildSoundChain();
+}
+
+function setSoundPreset(preset) {
+  // Switch different instrument flavors
+  state.soundPreset = preset;
+  rebuildSoundChain();
+}
+
+// Replace the live instrument and effects with a fresh chain for the current sound
+function rebuildSoundChain() {
   // Dispose previous
   try { state.synth?.dispose?.(); } catch (_) {}
-  try { state.effects.reverb?.dispose?.(); } catch (_) {}
-  try { state.effects.delay?.dispose?.(); } catch (_) {}
+  try { state.backing?.dispose?.(); } catch (_) {}
+  try { state.drums?.dispose?.(); } catch (_) {}
+  try { state.spatialStage?.dispose?.(); } catch (_) {}
+  Object.values(state.voices).forEach((voice) => {
+    try { voice.dispose(); } catch (_) {}
+  });
+  try { state.effects?.dispose?.(); } catch (_) {}
   state.synth = null;
-  state.effects = { reverb: null, delay: null };
+  state.backing = null;
+  state.drums = null;
+  state.spatialStage = null;
+  state.voices = {};
+  state.effects = null;
+
+  const chain = createSoundChain();
+  state.synth = chain.synth;
+  state.backing = chain.backing;
+  state.drums = chain.drums;
+  state.spatialStage = chain.spatialStage;
+  state.effects = chain.effects;
+  restoreLineVoiceInstruments();
+}
 
-  const reverb = new Tone.Reverb({ decay: 2.0, wet: 0.22 }).toDestination();
-  const delay = new Tone.FeedbackDelay({ delayTime: 0.18, feedback: 0.18, wet: 0.16 }).connect(reverb);
+// Shared instrument + effects factory used by live playback and offline exports.
+// Nodes are created in the active Tone context, so inside a Tone.Offline
+// callback the chain renders into the offline destination.
+function createSoundChain(preset = state.soundPreset, theme = state.theme, rack = state.effectsRack) {
+  const effects = createEffectsChain(rack);
+  const createSynth = () => (preset ? createPresetInstrument(preset) : createThemeInstrument(theme));
+  const synth = createSynth();
+  const spatialStage = createSpatialStage();
+  synth.connect(spatialStage.input);
+  spatialStage.addVoice('synth', createSynth);
+  spatialStage.output.connect(effects.input);
+  // Soft pad for the accompaniment, joining the rack at its reverb so chords
+  // skip the delay and stay clear
+  const backing = new Tone.PolySynth(Tone.Synth, {
+    oscillator: { type: 'triangle' },
+    envelope: { attack: 0.02, decay: 0.3, sustain: 0.35, release: 0.9 },
+    volume: -10,
+  }).connect(effects.send);
+  const drums = createDrumKit(effects);
+  return { synth, backing, drums, spatialStage, voices: {}, effects, ready: effects.ready };
+}
 
-  let synth;
+function createThemeInstrument(theme) {
   if (theme === 'midnight') {
-    synth = new Tone.PolySynth(Tone.Synth, {
+    return new Tone.PolySynth(Tone.Synth, {
       oscillator: { type: 'triangle' },
       envelope: { attack: 0.01, decay: 0.25, sustain: 0.12, release: 0.8 },
     });
-  } else if (theme === 'pastel') {
-    synth = new Tone.PolySynth(Tone.Synth, {
+  }
+  if (theme === 'pastel') {
+    return new Tone.PolySynth(Tone.Synth, {
       oscillator: { type: 'sine' },
       envelope: { attack: 0.006, decay: 0.18, sustain: 0.1, release: 0.5 },
     });
-  } else {
-    synth = new Tone.PolySynth(Tone.Synth, {
-      oscillator: { type: 'sine' },
-      envelope: { attack: 0.005, decay: 0.2, sustain: 0.1, release: 0.6 },
-    });
   }
-  synth.connect(delay);
-  state.synth = synth;
-  state.effects = { reverb, delay };
+  return new Tone.PolySynth(Tone.Synth, {
+    oscillator: { type: 'sine' },
+    envelope: { attack: 0.005, decay: 0.2, sustain: 0.1, release: 0.6 },
+  });
 }
 
-function setSoundPreset(preset) {
-  // Switch different instrument flavors
+// Sound menu values of the built-in instruments below
+const SOUND_PRESETS = ['sine_soft', 'triangle_ambient', 'chime_fm', 'pluck', 'saw_pad', 'epiano', 'bell'];
+
+function isKnownSound(sound) {
+  return SOUND_PRESETS.includes(sound) || isSamplePreset(sound);
+}
+
+function createPresetInstrument(preset) {
+  // Uploaded samples, decoded beforehand by loadSampleInstrument
+  if (isSamplePreset(preset)) {
+    const instrument = sampleInstruments.get(preset.slice(SAMPLE_PRESET_PREFIX.length));
+    if (instrument) return new Tone.Sampler({ urls: { ...instrument.buffers }, release: 1 });
+  }
   // Simple factory using Tone instruments
-  try { state.synth?.dispose?.(); } catch (_) {}
-  const reverb = state.effects.reverb || new Tone.Reverb({ decay: 2.0, wet: 0.22 }).toDestination();
-  const delay = state.effects.delay || new Tone.FeedbackDelay({ delayTime: 0.18, feedback: 0.18, wet: 0.16 }).connect(reverb);
-  let synth;
   switch (preset) {
     case 'triangle_ambient':
-      synth = new Tone.PolySynth(Tone.Synth, { oscillator: { type: 'triangle' }, envelope: { attack: 0.02, decay: 0.3, sustain: 0.15, release: 1.2 } });
-      break;
+      return new Tone.PolySynth(Tone.Synth, { oscillator: { type: 'triangle' }, envelope: { attack: 0.02, decay: 0.3, sustain: 0.15, release: 1.2 } });
     case 'chime_fm':
-      synth = new Tone.PolySynth(Tone.FMSynth, { modulationIndex: 10, harmonicity: 2.5, envelope: { attack: 0.005, decay: 0.3, sustain: 0.0, release: 1.2 } });
-      break;
+      return new Tone.PolySynth(Tone.FMSynth, { modulationIndex: 10, harmonicity: 2.5, envelope: { attack: 0.005, decay: 0.3, sustain: 0.0, release: 1.2 } });
     case 'pluck':
-      synth = new Tone.PolySynth(Tone.PluckSynth, {});
-      break;
+      return new Tone.PolySynth(Tone.PluckSynth, {});
     case 'saw_pad':
-      synth = new Tone.PolySynth(Tone.Synth, { oscillator: { type: 'sawtooth' }, envelope: { attack: 0.03, decay: 0.4, sustain: 0.2, release: 1.5 } });
-      break;
+      return new Tone.PolySynth(Tone.Synth, { oscillator: { type: 'sawtooth' }, envelope: { attack: 0.03, decay: 0.4, sustain: 0.2, release: 1.5 } });
     case 'epiano':
-      synth = new Tone.PolySynth(Tone.AMSynth, { harmonicity: 1, modulationIndex: 2, oscillator: { type: 'sine' } });
-      break;
+      return new Tone.PolySynth(Tone.AMSynth, { harmonicity: 1, modulationIndex: 2, oscillator: { type: 'sine' } });
     case 'bell':
-      synth = new Tone.PolySynth(Tone.MetalSynth, { frequency: 200, envelope: { attack: 0.001, decay: 1.4, release: 2 }, harmonicity: 5.1, modulationIndex: 32, resonance: 400, octaves: 1.5 });
-      break;
+      return new Tone.PolySynth(Tone.MetalSynth, { frequency: 200, envelope: { attack: 0.001, decay: 1.4, release: 2 }, harmonicity: 5.1, modulationIndex: 32, resonance: 400, octaves: 1.5 });
     case 'sine_soft':
     default:
-      synth = new Tone.PolySynth(Tone.Synth, { oscillator: { type: 'sine' }, envelope: { attack: 0.005, decay: 0.2, sustain: 0.1, release: 0.6 } });
+      return new Tone.PolySynth(Tone.Synth, { oscillator: { type: 'sine' }, envelope: { attack: 0.005, decay: 0.2, sustain: 0.1, release: 0.6 } });
   }
-  synth.connect(delay);
-  state.synth = synth;
-  state.effects = { reverb, delay };
 }
 
 // ============================================================================
-// PERFORMANCE-OPTIMIZED LETTER CREATION
+// SAMPLE INSTRUMENTS
 // ============================================================================
 
-function createLetterSpan(char, container, x, y, animate = true) {
-  try {
-    const span = document.createElement('span');
-    span.className = 'typed-letter';
-    span.textContent = char;
-    container.appendChild(span);
-    
-    // Measure width/height by placing then positioning
-    const rect = container.getBoundingClientRect();
-    const targetLeft = x;
-    const targetTop = y;
+// Uploaded instruments are kept in the 'samples' store as
+// { id, name, created, zones: [{ note, type, data (ArrayBuffer) }] }.
+// Decoded buffers are cached here so sound chains can be built synchronously,
+// including inside Tone.Offline for exports.
+const sampleInstruments = new Map(); // id -> { name, buffers: { note: AudioBuffer } }
+const SAMPLE_PRESET_PREFIX = 'sample:'; // soundSelect value = prefix + id
 
-    if (!state.physics.enabled) {
-      // Arc drop animation to the final layout position
-      const rand = (min, max) => Math.random() * (max - min) + min;
-      const startY = -rand(60, 140);
-      const startX = Math.max(0, Math.min(rect.width - (span.getBoundingClientRect().width || 16), targetLeft + rand(-140, 140)));
-      
-      span.style.left = `${startX}px`;
-      span.style.top = `${startY}px`;
-      
-      if (animate) {
-        gsap.to(span, {
-          left: targetLeft,
-          top: targetTop,
-          duration: 0.75,
-          ease: 'power3.out',
-          onComplete: () => {
-            // Ensure final position is set precisely
-            span.style.left = `${targetLeft}px`;
-            span.style.top = `${targetTop}px`;
-          }
-        });
-      } else {
-        span.style.left = `${targetLeft}px`;
-        span.style.top = `${targetTop}px`;
-      }
-    } else {
-      // Physics-based drop
-      const localX = targetLeft;
-      const localY = -64;
-      span.style.left = `${localX}px`;
-      span.style.top = `${localY}px`;
-      addLetterBody(span, localX, localY, targetTop);
-    }
-    return span;
-  } catch (error) {
-    console.error('Error creating letter span:', error);
-    return null;
-  }
+function isSamplePreset(preset) {
+  return typeof preset === 'string' && preset.startsWith(SAMPLE_PRESET_PREFIX);
 }
 
-function updateCursorPosition(container) {
-  // Update the visual cursor position based on current caret position
-  const x = nextCaretPosition.x || 0;
-  const y = nextCaretPosition.y || 0;
-  container.style.setProperty('--cursor-x', `${x}px`);
-  container.style.setProperty('--cursor-y', `${y}px`);
+// Pitch tag at the end of a file name: "piano_C4.wav", "voice A#3.mp3", "Db5.wav"
+function sampleNoteFromFileName(fileName) {
+  const base = fileName.replace(/\.[^.]+$/, '');
+  const match = base.match(/(?:^|[^a-z])([a-g](?:#|b)?-?\d)$/i);
+  return match ? parseNoteName(match[1]) : null;
 }
 
-function calculateCursorFromLetterPositions(container) {
-  // Calculate cursor position based on actual letter positions (more accurate)
-  if (state.events.length === 0) {
-    nextCaretPosition.x = 0;
-    nextCaretPosition.y = 0;
-    return;
+// Instrument name from the first file, without its pitch tag
+function sampleSetName(files) {
+  const base = files[0].name.replace(/\.[^.]+$/, '');
+  const name = base.replace(/[\s_.-]*[a-g](?:#|b)?-?\d$/i, '').trim();
+  return name || base || 'Samples';
+}
+
+async function listSampleInstruments() {
+  const records = await libraryTransaction(['samples'], 'readonly', store => idbRequest(store.getAll()));
+  return records.sort((a, b) => a.created - b.created);
+}
+
+// Read and decode an instrument once; later calls reuse the cache
+async function loadSampleInstrument(id) {
+  if (sampleInstruments.has(id)) return sampleInstruments.get(id);
+  const record = await libraryTransaction(['samples'], 'readonly', store => idbRequest(store.get(id)));
+  if (!record) throw new Error(`Sample instrument ${id} not found`);
+  return decodeSampleInstrument(record);
+}
+
+async function decodeSampleInstrument(record) {
+  const buffers = {};
+  for (const zone of record.zones) {
+    // decodeAudioData detaches its input, so decode a copy
+    buffers[zone.note] = await Tone.getContext().decodeAudioData(zone.data.slice(0));
   }
-  
-  // If the last input was a newline, move cursor to start of next line
-  const lastEventOverall = state.events[state.events.length - 1];
-  if (lastEventOverall && lastEventOverall.char === '\n') {
-    const layoutAfterPlaceholder = layoutEventsAligned(
-      container,
-      [...state.events, { char: 'M', note: null }],
-      state.align
-    );
-    const nextPos = layoutAfterPlaceholder.positions[layoutAfterPlaceholder.positions.length - 1];
-    if (nextPos) {
-      nextCaretPosition.x = nextPos.x;
-      nextCaretPosition.y = nextPos.y;
-      return;
+  const instrument = { name: record.name, buffers };
+  sampleInstruments.set(record.id, instrument);
+  return instrument;
+}
+
+// One file plays across the whole range from its tagged pitch (C4 if untagged);
+// several files need a pitch tag each and become one multi-sample instrument
+async function handleSampleFiles(ev) {
+  const files = Array.from(ev.target.files || []);
+  ev.target.value = '';
+  if (!files.length) return;
+  try {
+    const zones = [];
+    const untagged = [];
+    for (const file of files) {
+      const note = sampleNoteFromFileName(file.name) || (files.length === 1 ? 'C4' : null);
+      if (note) zones.push({ note, type: file.type, data: await file.arrayBuffer() });
+      else untagged.push(file.name);
     }
-  }
-  
-  // Get current aligned positions
-  const { positions } = layoutEventsAligned(container, state.events, state.align);
-  const nonNewlineEvents = state.events.filter(e => e.char !== '\n');
-  
-  if (positions.length > 0 && nonNewlineEvents.length > 0) {
-    const lastPos = positions[positions.length - 1];
-    const lastEvent = nonNewlineEvents[nonNewlineEvents.length - 1];
-    const style = getComputedStyle(container);
-    
-    // Get actual character width for precise cursor positioning
-    const charWidth = measureChar(container, lastEvent.char, style);
-    nextCaretPosition.x = lastPos.x + charWidth;
-    nextCaretPosition.y = lastPos.y;
-  } else {
-    // Handle case where last event produced a new line or there are no glyphs on the current line
-    const layout = layoutEventsAligned(container, [...state.events, { char: 'M', note: null }], state.align);
-    const nextPos = layout.positions[layout.positions.length - 1];
-    if (nextPos) {
-      nextCaretPosition.x = nextPos.x;
-      nextCaretPosition.y = nextPos.y;
+    if (untagged.length) {
+      showError(`Skipped ${untagged.join(', ')}: add a pitch such as C4 to the file name.`);
     }
+    if (!zones.length) return;
+    const now = Date.now();
+    const record = {
+      id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      name: sampleSetName(files),
+      created: now,
+      zones,
+    };
+    await ensureAudio();
+    // Decode before saving so unreadable files never reach the library
+    await decodeSampleInstrument(record);
+    await libraryTransaction(['samples'], 'readwrite', store => idbRequest(store.put(record)));
+    await selectSound(SAMPLE_PRESET_PREFIX + record.id);
+  } catch (error) {
+    console.error('Sample import failed:', error);
+    showError('Could not load those samples. Use WAV or MP3 files.');
   }
 }
 
-function initializeCursor(container) {
-  // Initialize cursor position at start
-  nextCaretPosition.x = 0;
-  nextCaretPosition.y = 0;
-  updateCursorPosition(container);
+async function deleteSampleInstrument(id) {
+  await libraryTransaction(['samples'], 'readwrite', store => idbRequest(store.delete(id)));
+  sampleInstruments.delete(id);
+  if (state.soundPreset === SAMPLE_PRESET_PREFIX + id) await selectSound('sine_soft');
+  else await renderSampleOptions();
 }
 
-function nextCaretPosition(container, char) {
-  // Simple monospace-like flow using approximate advance by measuring a hidden span
-  // Create an invisible measurer on first call
-  if (!nextCaretPosition.measurer) {
-    const m = document.createElement('span');
-    m.style.visibility = 'hidden';
-    m.style.position = 'absolute';
-    m.style.left = '-9999px';
-    m.style.top = '-9999px';
-    m.style.whiteSpace = 'pre';
-    m.textContent = 'M';
-    container.appendChild(m);
-    nextCaretPosition.measurer = m;
-    nextCaretPosition.x = 0;
-    nextCaretPosition.y = 0;
-    nextCaretPosition.lineHeight = 36; // fallback, approximated; updated below
-    nextCaretPosition.spaceWidth = m.getBoundingClientRect().width * 0.6;
-    nextCaretPosition.charWidth = m.getBoundingClientRect().width;
+// "My samples" group at the end of the Sound menu
+async function renderSampleOptions() {
+  const soundSelect = document.getElementById('soundSelect');
+  if (!soundSelect) return;
+  const records = await listSampleInstruments();
+  const current = soundSelect.value;
+  soundSelect.querySelector('optgroup.sample-options')?.remove();
+  if (records.length) {
+    const group = document.createElement('optgroup');
+    group.className = 'sample-options';
+    group.label = 'My samples';
+    for (const record of records) {
+      const option = document.createElement('option');
+      option.value = SAMPLE_PRESET_PREFIX + record.id;
+      option.textContent = record.name;
+      group.appendChild(option);
+    }
+    soundSelect.appendChild(group);
   }
-  const measurer = nextCaretPosition.measurer;
-  // Measure the actual character where possible; use 'M' as a stable fallback
-  measurer.textContent = (char && char !== '\n' && char !== ' ')
-    ? char
-    : 'M';
-  const mRect = measurer.getBoundingClientRect();
-  const baseWidth = (char === ' ')
-    ? mRect.width * 0.6
-    : (char === '\n' ? 0 : mRect.width);
-  const rect = container.getBoundingClientRect();
-  const padding = 0;
-  const maxWidth = rect.width - padding * 2;
-  const style = getComputedStyle(container);
-  const letterSpacingPx = parseFloat(style.letterSpacing);
-  const letterSpacing = Number.isFinite(letterSpacingPx) ? letterSpacingPx : 0;
-  const advance = (char === '\n') ? 0 : (baseWidth + (char === ' ' ? 0 : letterSpacing));
+  soundSelect.value = current;
+  if (!soundSelect.value) soundSelect.value = 'sine_soft';
+  syncSampleControls();
+}
 
-  if (char === '\n') {
-    nextCaretPosition.x = 0;
-    nextCaretPosition.y += nextCaretPosition.lineHeight;
-  } else {
-    if (nextCaretPosition.x + advance > maxWidth) {
-      nextCaretPosition.x = 0;
-      nextCaretPosition.y += nextCaretPosition.lineHeight;
+function syncSampleControls() {
+  const deleteBtn = document.getElementById('sampleDeleteBtn');
+  if (deleteBtn) deleteBtn.hidden = !isSamplePreset(document.getElementById('soundSelect')?.value);
+}
+
+// Switch instrument from the Sound menu or a loaded letter. Sample instruments
+// are decoded first; one missing from this browser falls back to Sine Soft.
+async function selectSound(preset) {
+  await ensureAudio();
+  try {
+    if (isSamplePreset(preset)) {
+      await loadSampleInstrument(preset.slice(SAMPLE_PRESET_PREFIX.length));
+      await renderSampleOptions();
     }
+  } catch (error) {
+    console.error('Sample instrument unavailable:', error);
+    showError('That sample instrument is not saved in this browser; using Sine Soft instead.');
+    preset = 'sine_soft';
   }
+  const soundSelect = document.getElementById('soundSelect');
+  if (soundSelect) soundSelect.value = preset;
+  setSoundPreset(preset);
+  syncSampleControls();
+}
 
-  const result = { x: nextCaretPosition.x, y: nextCaretPosition.y };
-  if (char === '\n') {
-    // already moved
-  } else {
-    nextCaretPosition.x += advance;
-  }
-  // Update line height estimate using computed font size
-  const fontSize = parseFloat(style.fontSize) || 24;
-  nextCaretPosition.lineHeight = fontSize * 1.4;
+function initSampleControls() {
+  const fileInput = document.getElementById('sampleFile');
+  document.getElementById('sampleImportBtn')?.addEventListener('click', () => fileInput?.click());
+  fileInput?.addEventListener('change', handleSampleFiles);
+  document.getElementById('sampleDeleteBtn')?.addEventListener('click', () => {
+    const preset = document.getElementById('soundSelect')?.value;
+    if (!isSamplePreset(preset)) return;
+    const name = sampleInstruments.get(preset.slice(SAMPLE_PRESET_PREFIX.length))?.name || 'this instrument';
+    if (!confirm(`Delete the sample instrument "${name}"?`)) return;
+    deleteSampleInstrument(preset.slice(SAMPLE_PRESET_PREFIX.length)).catch((error) => {
+      console.error('Sample delete failed:', error);
+    });
+  });
+  renderSampleOptions().catch(error => console.warn('Failed to list sample instruments:', error));
+}
 
-  return result;
+// ============================================================================
+// EFFECTS RACK
+// ============================================================================
+
+const MIX_PARAM = { label: 'Mix', min: 0, max: 1, step: 0.01 };
+
+// Effects the rack can hold: slider ranges per parameter, defaults, and a
+// factory taking those parameters
+const EFFECT_TYPES = {
+  reverb: {
+    label: 'Reverb',
+    params: { decay: { label: 'Decay', min: 0.2, max: 10, step: 0.1, unit: 's' }, wet: MIX_PARAM },
+    defaults: () => ({ decay: CONFIG.AUDIO.REVERB_DECAY, wet: CONFIG.AUDIO.REVERB_WET }),
+    create: params => new Tone.Reverb(params),
+  },
+  delay: {
+    label: 'Delay',
+    params: {
+      delayTime: { label: 'Time', min: 0.02, max: 1, step: 0.01, unit: 's' },
+      feedback: { label: 'Feedback', min: 0, max: 0.9, step: 0.01 },
+      wet: MIX_PARAM,
+    },
+    defaults: () => ({ delayTime: CONFIG.AUDIO.DELAY_TIME, feedback: CONFIG.AUDIO.DELAY_FEEDBACK, wet: CONFIG.AUDIO.DELAY_WET }),
+    create: params => new Tone.FeedbackDelay(params),
+  },
+  chorus: {
+    label: 'Chorus',
+    params: {
+      frequency: { label: 'Rate', min: 0.1, max: 8, step: 0.1, unit: 'Hz' },
+      depth: { label: 'Depth', min: 0, max: 1, step: 0.01 },
+      wet: MIX_PARAM,
+    },
+    defaults: () => ({ frequency: 1.5, depth: 0.5, wet: 0.4 }),
+    create: params => new Tone.Chorus(params).start(),
+  },
+  filter: {
+    label: 'Low-pass filter',
+    params: {
+      frequency: { label: 'Cutoff', min: 100, max: 16000, step: 10, unit: 'Hz' },
+      Q: { label: 'Resonance', min: 0.1, max: 12, step: 0.1 },
+    },
+    defaults: () => ({ frequency: 4000, Q: 1 }),
+    create: params => new Tone.Filter({ type: 'lowpass', ...params }),
+  },
+  compressor: {
+    label: 'Compressor',
+    params: {
+      threshold: { label: 'Threshold', min: -60, max: 0, step: 1, unit: 'dB' },
+      ratio: { label: 'Ratio', min: 1, max: 20, step: 0.5 },
+    },
+    defaults: () => ({ threshold: -24, ratio: 4 }),
+    create: params => new Tone.Compressor(params),
+  },
+  distortion: {
+    label: 'Distortion',
+    params: { distortion: { label: 'Drive', min: 0, max: 1, step: 0.01 }, wet: MIX_PARAM },
+    defaults: () => ({ distortion: 0.3, wet: 0.5 }),
+    create: params => new Tone.Distortion(params),
+  },
+};
+
+function defaultEffectsRack() {
+  return ['delay', 'reverb'].map(type => ({ type, ...EFFECT_TYPES[type].defaults() }));
 }
 
-function computeLineLayoutOffsets(container) {
+// Drop unknown effects and clamp every parameter into its slider range
+function normalizeEffectsRack(rack) {
+  if (!Array.isArray(rack)) return defaultEffectsRack();
+  return rack.filter(effect => EFFECT_TYPES[effect?.type]).map((effect) => {
+    const spec = EFFECT_TYPES[effect.type];
+    const out = { type: effect.type, ...spec.defaults() };
+    for (const [key, range] of Object.entries(spec.params)) {
+      const value = Number(effect[key]);
+      if (Number.isFinite(value)) out[key] = Math.max(range.min, Math.min(range.max, value));
+    }
+    return out;
+  });
+}
+
+// Build the rack in series, ending at the destination. `send` is where the
+// accompaniment and drums join: the first reverb, or the output when there is none.
+// Dry drums skip the rack and join at `output`.
+function createEffectsChain(rack = state.effectsRack) {
+  const output = new Tone.Gain().toDestination();
+  const nodes = rack.map(({ type, ...params }) => EFFECT_TYPES[type].create(params));
+  nodes.forEach((node, i) => node.connect(nodes[i + 1] || output));
+  const reverbs = nodes.filter((_, i) => rack[i].type === 'reverb');
+  return {
+    input: nodes[0] || output,
+    send: reverbs[0] || output,
+    output,
+    nodes,
+    ready: Promise.all(reverbs.map(reverb => reverb.ready)),
+    dispose() {
+      nodes.forEach(node => node.dispose());
+      output.dispose();
+    },
+  };
+}
+
+function sameEffectsRack(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Adding, removing or reordering effects rebuilds the live chain
+function setEffectsRack(rack) {
+  const next = normalizeEffectsRack(rack);
+  if (!sameEffectsRack(next, state.effectsRack)) recordHistory();
+  state.effectsRack = next;
+  if (state.synth) rebuildSoundChain();
+  if (isEffectsPanelOpen()) renderEffectsPanel();
+  persistToStorage();
+}
+
+// Parameter tweaks go straight to the live node
+function setEffectParam(index, key, value) {
+  const effect = state.effectsRack[index];
+  if (!effect || !(key in EFFECT_TYPES[effect.type].params)) return;
+  state.effectsRack = state.effectsRack.map((e, i) => (i === index ? { ...e, [key]: value } : e));
+  try {
+    state.effects?.nodes[index]?.set({ [key]: value });
+  } catch (error) {
+    console.error('Error updating effect:', error);
+  }
+  persistToStorage();
+}
+
+function addEffect(type) {
+  if (!EFFECT_TYPES[type]) return;
+  setEffectsRack([...state.effectsRack, { type, ...EFFECT_TYPES[type].defaults() }]);
+}
+
+function removeEffect(index) {
+  setEffectsRack(state.effectsRack.filter((_, i) => i !== index));
+}
+
+function moveEffect(index, offset) {
+  const target = index + offset;
+  if (target < 0 || target >= state.effectsRack.length) return;
+  const rack = [...state.effectsRack];
+  [rack[index], rack[target]] = [rack[target], rack[index]];
+  setEffectsRack(rack);
+}
+
+// Presets capture the instrument together with the rack
+function saveRackPreset(name) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) {
+    showError('Give the preset a name first.');
+    return;
+  }
+  const sound = document.getElementById('soundSelect')?.value || 'sine_soft';
+  state.rackPresets = { ...state.rackPresets, [trimmed]: { sound, effects: normalizeEffectsRack(state.effectsRack) } };
+  renderRackPresetOptions();
+  const select = document.getElementById('rackPresetSelect');
+  if (select) select.value = trimmed;
+  persistToStorage();
+}
+
+function applyRackPreset(name) {
+  const preset = state.rackPresets[name];
+  if (!preset) return;
+  setEffectsRack(preset.effects);
+  selectSound(preset.sound).catch(error => console.error('Preset sound failed:', error));
+}
+
+function deleteRackPreset(name) {
+  if (!(name in state.rackPresets)) return;
+  const { [name]: _removed, ...rest } = state.rackPresets;
+  state.rackPresets = rest;
+  renderRackPresetOptions();
+  persistToStorage();
+}
+
+function renderRackPresetOptions() {
+  const select = document.getElementById('rackPresetSelect');
+  if (!select) return;
+  const names = Object.keys(state.rackPresets).sort();
+  select.innerHTML = '';
+  if (!names.length) {
+    select.appendChild(new Option('No saved presets', ''));
+  }
+  names.forEach(name => select.appendChild(new Option(name, name)));
+  select.disabled = !names.length;
+}
+
+function isEffectsPanelOpen() {
+  const panel = document.getElementById('effectsPanel');
+  return !!panel && !panel.hidden;
+}
+
+function toggleEffectsPanel(open = !isEffectsPanelOpen()) {
+  const panel = document.getElementById('effectsPanel');
+  if (!panel) return;
+  if (open) closeOtherSidePanels(panel);
+  panel.hidden = !open;
+  if (open) {
+    renderEffectsPanel();
+    renderRackPresetOptions();
+  }
+}
+
+function formatEffectValue(value, range) {
+  const digits = range.step >= 1 ? 0 : range.step >= 0.1 ? 1 : 2;
+  return `${value.toFixed(digits)}${range.unit ? ` ${range.unit}` : ''}`;
+}
+
+// One card per effect in signal order, with move/remove buttons and a slider per parameter
+function renderEffectsPanel() {
+  const list = document.getElementById('effectsList');
+  if (!list) return;
+  list.innerHTML = '';
+  if (!state.effectsRack.length) {
+    const empty = document.createElement('li');
+    empty.className = 'effects-empty';
+    empty.textContent = 'No effects: the instrument plays dry.';
+    list.appendChild(empty);
+    return;
+  }
+  state.effectsRack.forEach((effect, index) => {
+    const spec = EFFECT_TYPES[effect.type];
+    const item = document.createElement('li');
+    item.className = 'effect-item';
+
+    const header = document.createElement('div');
+    header.className = 'effect-header';
+    const title = document.createElement('strong');
+    title.textContent = spec.label;
+    const button = (text, label, onClick, disabled = false) => {
+      const btn = document.createElement('button');
+      btn.textContent = text;
+      btn.setAttribute('aria-label', `${label} ${spec.label}`);
+      btn.disabled = disabled;
+      btn.addEventListener('click', onClick);
+      return btn;
+    };
+    header.append(
+      title,
+      button('↑', 'Move up', () => moveEffect(index, -1), index === 0),
+      button('↓', 'Move down', () => moveEffect(index, 1), index === state.effectsRack.length - 1),
+      button('×', 'Remove', () => removeEffect(index)),
+    );
+    item.appendChild(header);
+
+    for (const [key, range] of Object.entries(spec.params)) {
+      const field = document.createElement('label');
+      field.className = 'effect-param';
+      const name = document.createElement('span');
+      name.textContent = range.label;
+      const output = document.createElement('output');
+      output.textContent = formatEffectValue(effect[key], range);
+      const slider = document.createElement('input');
+      slider.type = 'range';
+      slider.min = range.min;
+      slider.max = range.max;
+      slider.step = range.step;
+      slider.value = effect[key];
+      slider.addEventListener('input', () => {
+        const value = parseFloat(slider.value);
+        output.textContent = formatEffectValue(value, range);
+        setEffectParam(index, key, value);
+      });
+      field.append(name, output, slider);
+      item.appendChild(field);
+    }
+    list.appendChild(item);
+  });
+}
+
+function initEffectsPanel() {
+  state.effectsRack = defaultEffectsRack();
+  const typeSelect = document.getElementById('effectTypeSelect');
+  if (typeSelect) {
+    Object.entries(EFFECT_TYPES).forEach(([type, spec]) => typeSelect.appendChild(new Option(spec.label, type)));
+  }
+  const value = id => document.getElementById(id)?.value;
+  document.getElementById('effectsBtn')?.addEventListener('click', () => toggleEffectsPanel());
+  document.getElementById('closeEffectsBtn')?.addEventListener('click', () => toggleEffectsPanel(false));
+  document.getElementById('addEffectBtn')?.addEventListener('click', () => addEffect(value('effectTypeSelect')));
+  document.getElementById('saveRackPresetBtn')?.addEventListener('click', () => {
+    saveRackPreset(value('rackPresetName'));
+  });
+  document.getElementById('applyRackPresetBtn')?.addEventListener('click', () => {
+    applyRackPreset(value('rackPresetSelect'));
+  });
+  document.getElementById('deleteRackPresetBtn')?.addEventListener('click', () => {
+    deleteRackPreset(value('rackPresetSelect'));
+  });
+}
+
+// ============================================================================
+// THEME PACKS
+// ============================================================================
+
+const THEME_PACK_FORMAT = 'music-letter-theme';
+// Variables exported with a theme pack; packs may set any other --custom-property too
+const THEME_VARIABLES = ['--bg', '--paper', '--ink', '--accent', '--font-sans', '--border-radius', '--shadow-md'];
+
+// CSS variables currently set inline by an imported pack
+let appliedThemeVariables = [];
+
+function applyThemeVariables(cssVars = {}) {
+  const root = document.documentElement.style;
+  appliedThemeVariables.forEach(name => root.removeProperty(name));
+  appliedThemeVariables = Object.keys(cssVars);
+  for (const [name, value] of Object.entries(cssVars)) root.setProperty(name, value);
+}
+
+// Unique id from a pack name; built-in ids stay reserved
+function themePackId(name) {
+  const slug = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'theme';
+  return BUILT_IN_THEMES.includes(slug) ? `${slug}-pack` : slug;
+}
+
+// Validate a pack read from JSON; unknown or malformed fields are dropped
+function normalizeThemePack(raw) {
+  if (!raw || typeof raw !== 'object' || (raw.format && raw.format !== THEME_PACK_FORMAT)) {
+    throw new Error('This file is not a Music Letter theme pack.');
+  }
+  const name = String(raw.name || '').trim() || 'Untitled theme';
+  const pack = { id: themePackId(raw.id || name), name };
+  if (raw.cssVars && typeof raw.cssVars === 'object') {
+    pack.cssVars = {};
+    for (const [key, value] of Object.entries(raw.cssVars)) {
+      // Plain values only, so a pack can't break out of the declaration
+      if (/^--[a-z0-9-]+$/i.test(key) && ['string', 'number'].includes(typeof value) && !/[;{}<>]/.test(String(value))) {
+        pack.cssVars[key] = String(value);
+      }
+    }
+  }
+  const patterns = Array.from(document.getElementById('patternSelect')?.options || []).map(o => o.value);
+  if (patterns.includes(raw.pattern)) pack.pattern = raw.pattern;
+  if (typeof raw.font === 'string' && raw.font.trim()) pack.font = raw.font.trim();
+  if (Number.isFinite(raw.letterSpacing)) pack.letterSpacing = Math.max(-0.05, Math.min(0.3, raw.letterSpacing));
+  if (raw.palette) pack.palette = normalizePalette(raw.palette);
+  if (typeof raw.instrument === 'string' && raw.instrument) pack.instrument = raw.instrument;
+  if (Array.isArray(raw.effects)) pack.effects = normalizeEffectsRack(raw.effects);
+  if (playheadPresets[raw.playhead]) pack.playhead = raw.playhead;
+  return pack;
+}
+
+// Register a pack so it can be chosen from the theme menu
+function registerThemePack(pack) {
+  themes[pack.id] = pack;
+  renderThemeOptions();
+}
+
+function renderThemeOptions() {
+  const themeSelect = document.getElementById('themeSelect');
+  if (!themeSelect) return;
+  themeSelect.querySelector('optgroup.theme-pack-options')?.remove();
+  const imported = Object.entries(themes).filter(([id]) => !BUILT_IN_THEMES.includes(id));
+  if (imported.length) {
+    const group = document.createElement('optgroup');
+    group.className = 'theme-pack-options';
+    group.label = 'Theme packs';
+    imported.forEach(([id, pack]) => group.appendChild(new Option(pack.name, id)));
+    themeSelect.appendChild(group);
+  }
+  themeSelect.value = state.theme;
+}
+
+// Imported packs are kept in the 'themes' store
+async function loadSavedThemePacks() {
+  const packs = await libraryTransaction(['themes'], 'readonly', store => idbRequest(store.getAll()));
+  packs.forEach(pack => { themes[pack.id] = pack; });
+  renderThemeOptions();
+}
+
+function handleThemePackImport(ev) {
+  const file = ev.target.files?.[0];
+  ev.target.value = '';
+  if (!file) return;
+  const reader = new FileReader();
+  reader.onload = async () => {
+    try {
+      const pack = normalizeThemePack(JSON.parse(String(reader.result)));
+      await libraryTransaction(['themes'], 'readwrite', store => idbRequest(store.put(pack)));
+      registerThemePack(pack);
+      setTheme(pack.id);
+    } catch (error) {
+      console.error('Theme pack import failed:', error);
+      showError(error.message || 'Could not read the theme pack.');
+    }
+  };
+  reader.readAsText(file);
+}
+
+// Package the current look and sound as a pack a designer can edit and share
+function currentThemePack() {
+  const computed = getComputedStyle(document.documentElement);
+  const pack = themes[state.theme] || themes.classic;
+  const cssVars = {};
+  new Set([...THEME_VARIABLES, ...Object.keys(pack.cssVars || {})]).forEach((name) => {
+    const value = computed.getPropertyValue(name).trim();
+    if (value) cssVars[name] = value;
+  });
+  const spacing = parseFloat(document.documentElement.style.getPropertyValue('--letter-spacing'));
+  return {
+    format: THEME_PACK_FORMAT,
+    version: 1,
+    id: state.theme,
+    name: pack.name,
+    cssVars,
+    pattern: state.pattern,
+    font: state.font,
+    letterSpacing: Number.isFinite(spacing) ? spacing : fontLetterSpacingMap.get(state.font) ?? 0.02,
+    palette: { ...state.palette },
+    instrument: document.getElementById('soundSelect')?.value || 'sine_soft',
+    effects: state.effectsRack.map(effect => ({ ...effect })),
+    playhead: document.getElementById('playheadSelect')?.value || 'classic',
+  };
+}
+
+function exportThemePack() {
+  const pack = currentThemePack();
+  const blob = new Blob([JSON.stringify(pack, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${pack.id}.theme.json`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+function initThemePacks() {
+  const fileInput = document.getElementById('themePackFile');
+  document.getElementById('importThemeBtn')?.addEventListener('click', () => fileInput?.click());
+  fileInput?.addEventListener('change', handleThemePackImport);
+  document.getElementById('exportThemeBtn')?.addEventListener('click', exportThemePack);
+  loadSavedThemePacks().catch(error => console.warn('Failed to load theme packs:', error));
+}
+
+// ============================================================================
+// PERFORMANCE-OPTIMIZED LETTER CREATION
+// ============================================================================
+
+function createLetterSpan(char, container, x, y, animate = true, beforeEl = null) {
+  try {
+    const span = document.createElement('span');
+    span.className = 'typed-letter';
+    span.textContent = char;
+    container.insertBefore(span, beforeEl);
+    
+    // Measure width/height by placing then positioning
+    const rect = container.getBoundingClientRect();
+    const targetLeft = x;
+    const targetTop = y;
+
+    if (!state.physics.enabled) {
+      // Arc drop animation to the final layout position
+      const rand = (min, max) => Math.random() * (max - min) + min;
+      const startY = -rand(60, 140);
+      const startX = Math.max(0, Math.min(rect.width - (span.getBoundingClientRect().width || 16), targetLeft + rand(-140, 140)));
+      
+      span.style.left = `${startX}px`;
+      span.style.top = `${startY}px`;
+      
+      if (animate) {
+        gsap.to(span, {
+          left: targetLeft,
+          top: targetTop,
+          duration: 0.75,
+          ease: 'power3.out',
+          onComplete: () => {
+            // Ensure final position is set precisely
+            span.style.left = `${targetLeft}px`;
+            span.style.top = `${targetTop}px`;
+          }
+        });
+      } else {
+        span.style.left = `${targetLeft}px`;
+        span.style.top = `${targetTop}px`;
+      }
+    } else {
+      // Physics-based drop
+      const localX = targetLeft;
+      const localY = -64;
+      span.style.left = `${localX}px`;
+      span.style.top = `${localY}px`;
+      addLetterBody(span, localX, localY, targetTop);
+    }
+    return span;
+  } catch (error) {
+    console.error('Error creating letter span:', error);
+    return null;
+  }
+}
+
+function updateCursorPosition(container) {
+  // Update the visual cursor position based on current caret position
+  const x = nextCaretPosition.x || 0;
+  const y = nextCaretPosition.y || 0;
+  container.style.setProperty('--cursor-x', `${x}px`);
+  container.style.setProperty('--cursor-y', `${y}px`);
+}
+
+function calculateCursorFromLetterPositions(container) {
+  // Calculate cursor position from the caret index and actual letter positions
+  if (state.events.length === 0) {
+    nextCaretPosition.x = 0;
+    nextCaretPosition.y = 0;
+    return;
+  }
+  const layout = layoutEventsAligned(container, state.events, state.align);
+  const pos = caretPositionAt(container, state.caret, layout);
+  nextCaretPosition.x = pos.x;
+  nextCaretPosition.y = pos.y;
+}
+
+function initializeCursor(container) {
+  // Initialize cursor position at start
+  nextCaretPosition.x = 0;
+  nextCaretPosition.y = 0;
+  updateCursorPosition(container);
+}
+
+function nextCaretPosition(container, char) {
+  // Simple monospace-like flow using approximate advance by measuring a hidden span
+  // Create an invisible measurer on first call
+  if (!nextCaretPosition.measurer) {
+    const m = document.createElement('span');
+    m.style.visibility = 'hidden';
+    m.style.position = 'absolute';
+    m.style.left = '-9999px';
+    m.style.top = '-9999px';
+    m.style.whiteSpace = 'pre';
+    m.textContent = 'M';
+    container.appendChild(m);
+    nextCaretPosition.measurer = m;
+    nextCaretPosition.x = 0;
+    nextCaretPosition.y = 0;
+    nextCaretPosition.lineHeight = 36; // fallback, approximated; updated below
+    nextCaretPosition.spaceWidth = m.getBoundingClientRect().width * 0.6;
+    nextCaretPosition.charWidth = m.getBoundingClientRect().width;
+  }
+  const measurer = nextCaretPosition.measurer;
+  // Measure the actual character where possible; use 'M' as a stable fallback
+  measurer.textContent = (char && char !== '\n' && char !== ' ')
+    ? char
+    : 'M';
+  const mRect = measurer.getBoundingClientRect();
+  const baseWidth = (char === ' ')
+    ? mRect.width * 0.6
+    : (char === '\n' ? 0 : mRect.width);
+  const rect = container.getBoundingClientRect();
+  const padding = 0;
+  const maxWidth = rect.width - padding * 2;
+  const style = getComputedStyle(container);
+  const letterSpacingPx = parseFloat(style.letterSpacing);
+  const letterSpacing = Number.isFinite(letterSpacingPx) ? letterSpacingPx : 0;
+  const advance = (char === '\n') ? 0 : (baseWidth + (char === ' ' ? 0 : letterSpacing));
+
+  if (char === '\n') {
+    nextCaretPosition.x = 0;
+    nextCaretPosition.y += nextCaretPosition.lineHeight;
+  } else {
+    if (nextCaretPosition.x + advance > maxWidth) {
+      nextCaretPosition.x = 0;
+      nextCaretPosition.y += nextCaretPosition.lineHeight;
+    }
+  }
+
+  const result = { x: nextCaretPosition.x, y: nextCaretPosition.y };
+  if (char === '\n') {
+    // already moved
+  } else {
+    nextCaretPosition.x += advance;
+  }
+  // Update line height estimate using computed font size
+  const fontSize = parseFloat(style.fontSize) || 24;
+  nextCaretPosition.lineHeight = fontSize * 1.4;
+
+  return result;
+}
+
+function computeLineLayoutOffsets(container) {
   // Re-compute per-line total width to support center/right/justify alignment
   const lines = [];
   if (nextCaretPosition.measurer) {
@@ -664,18 +1603,23 @@ function layoutEventsAligned(container, events, align = state.align) {
   return { positions, lineHeight };
 }
 
-function recordEvent(char, note, position) {
+// Append an event; `fields` carries saved data (e.g. the original time) on import
+function recordEvent(char, note, position, fields = {}) {
   state.events.push({
     char,
     note,
     time: Tone.now(),
+    ...fields,
     x: position.x,
     y: position.y,
   });
+  state.caret = state.events.length;
   persistToStorage();
 }
 
 function scheduleInactivityPlayback() {
+  // A running loop takes edits in as they happen (see scheduleLiveLoopSync)
+  if (state.playback.looping) return;
   if (state.scheduledTimeout) clearTimeout(state.scheduledTimeout);
   state.scheduledTimeout = setTimeout(() => {
     // Only play if there are events with notes to play
@@ -700,6 +1644,16 @@ function handleMobileInput(ev) {
   try {
     const input = ev.target;
     const newValue = input.value;
+
+    // IME text is inserted whole on compositionend
+    if (state.composing || ev.isComposing || ev.inputType?.includes('Composition')) return;
+
+    // Pasted or dropped text arrives all at once; keep every character
+    if (ev.inputType?.startsWith('insertFrom') && newValue.length > 1) {
+      input.value = '';
+      insertTextAtCaret(newValue);
+      return;
+    }
     
     // Process each new character
     if (newValue.length > 0) {
@@ -718,7 +1672,7 @@ function handleMobileInput(ev) {
       
       // Clear the input to prepare for next character
       setTimeout(() => {
-        input.value = '';
+        if (!state.composing) input.value = '';
       }, 50);
     }
   } catch (error) {
@@ -728,16 +1682,44 @@ function handleMobileInput(ev) {
 
 function handleKeyDown(ev) {
   try {
+    // Keys typed into editor fields (e.g. the note popover) are not letters
+    if (ev.target.matches?.('input, select, textarea') && ev.target.id !== 'mobileInput') return;
+    // Keys that feed an IME composition are committed on compositionend
+    if (ev.isComposing || ev.keyCode === 229) return;
+
     // Clear welcome text on first interaction
     if (state.welcomeShown) {
       clearWelcomeText();
     }
+    closeNotePopover();
     
+    // Leave shortcuts (undo, copy, ...) to their own handlers; AltGr reports ctrl+alt
+    if ((ev.ctrlKey && !ev.altKey) || ev.metaKey) {
+      if (CARET_KEYS.has(ev.key)) {
+        ev.preventDefault();
+        moveCaretByKey(ev.key, true, ev.shiftKey);
+      }
+      return;
+    }
+
     // Handle special keys
     if (ev.key === 'Backspace' || ev.key === 'Delete') {
       ev.preventDefault();
-      deleteLast();
-      scheduleInactivityPlayback();
+      const range = selectionRange();
+      if (range) {
+        recordHistory();
+        deleteEventRange(range.start, range.end);
+      } else {
+        const index = ev.key === 'Backspace' ? state.caret - 1 : state.caret;
+        if (index >= 0 && index < state.events.length) recordHistory();
+        deleteEventAt(index);
+      }
+      scheduleInactivityPlayback();
+      return;
+    }
+    if (CARET_KEYS.has(ev.key)) {
+      ev.preventDefault();
+      moveCaretByKey(ev.key, false, ev.shiftKey);
       return;
     }
     
@@ -745,6 +1727,8 @@ function handleKeyDown(ev) {
     if (ev.key.length === 1 || ev.key === 'Enter' || ev.key === ' ') {
       ev.preventDefault();
     }
+    // A held key is one long note: its auto-repeats type nothing, keyup ends it
+    if (ev.repeat) return;
     // Normalize input handling
     let char = '';
     if (ev.key === 'Enter') {
@@ -757,272 +1741,2826 @@ function handleKeyDown(ev) {
     
     if (!char) return;
 
-    // Process input efficiently
-    const lower = char.toLowerCase();
-    const note = state.keyToNote[lower] ?? null;
+    const range = selectionRange();
+    const fields = expressiveFields(char, previousNote(range ? range.start : state.caret));
+    // Quick typing plays louder than slow, deliberate typing
+    if (fields.note) fields.velocity = (fields.velocity ?? 1) * typingVelocityFactor();
 
+    // Real key presses sound until keyup; synthetic (mobile) input gets a short note.
     // Play audio asynchronously to avoid blocking UI
-    ensureAudio().then(() => playNote(note)).catch(err => {
-      console.warn('Audio playback failed:', err);
-    });
-
-    const container = document.getElementById('textArea');
-    if (!container) {
-      console.error('Text area container not found');
-      return;
+    const line = lineIndexAt(range ? range.start : state.caret);
+    const held = ev.code && ev.type === 'keydown' ? startHeldNote(ev.code, fields, line) : null;
+    if (!held) {
+      ensureAudio().then(() => playNote(fields.note, fields.velocity, line)).catch(err => {
+        console.warn('Audio playback failed:', err);
+      });
     }
-    
-    // Record the event first
-    const pos = { x: 0, y: 0 }; // temporary, will be updated
-    recordEvent(char, note, pos);
-  
+
+    recordHistory();
+    // Typing over a selection replaces it
+    if (range) deleteEventRange(range.start, range.end);
+    insertCharAtCaret(char, fields);
+    if (held) held.event = state.events[state.caret - 1];
+    if (isExpressiveExclamation(char)) accentSentenceBefore(state.caret - 1);
+    scheduleInactivityPlayback();
+  } catch (error) {
+    console.error('Error handling keydown:', error);
+  }
+}
+
+// Insert a typed character at the caret and reflow every letter around it
+function insertCharAtCaret(char, fields) {
+  const container = document.getElementById('textArea');
+  if (!container) {
+    console.error('Text area container not found');
+    return;
+  }
+
+  // Record the event first (positions are filled in from the layout below)
+  const index = state.caret;
+  insertEventAt(index, { char, ...fields, time: Tone.now(), x: 0, y: 0 });
+
   // Compute aligned positions for ALL events including the new one
   const layout = layoutEventsAligned(container, state.events, state.align);
   const allPositions = layout.positions;
-  
-  // Create the new letter span if not newline
+
+  // Create the new letter span (in reading order) if not newline
+  const glyphIndex = glyphIndexForEvent(index);
+  let newEl = null;
   if (char !== '\n') {
-    const target = allPositions[allPositions.length - 1] || { x: 0, y: 0 };
-    createLetterSpan(char, container, target.x, target.y, true);
+    const nextEl = container.querySelectorAll('.typed-letter')[glyphIndex] || null;
+    const target = allPositions[glyphIndex] || { x: 0, y: 0 };
+    newEl = createLetterSpan(char, container, target.x, target.y, true, nextEl);
   }
-  
-  // Update positions of ALL existing letters to maintain alignment
+
   const letters = Array.from(container.querySelectorAll('.typed-letter'));
-  
+
   // Expand container height to accommodate content
   updateContainerHeight(container, allPositions);
-  
+
   // Kill any existing positioning animations to prevent overlaps during fast typing
   // But don't kill the drop animation of the newly created letter
-  const existingLetters = char !== '\n' ? letters.slice(0, -1) : letters;
-  gsap.killTweensOf(existingLetters);
-  
-  // Count how many non-newline events we have (should match letters.length)
-  const nonNewlineEvents = state.events.filter(ev => ev.char !== '\n').length;
-  const isNewLetter = char !== '\n';
-  const existingLetterCount = isNewLetter ? letters.length - 1 : letters.length;
-  
+  gsap.killTweensOf(letters.filter(el => el !== newEl));
+
+  // For fast typing, use shorter duration; for slow typing, use smoother animation
+  const timeSinceLastKey = Date.now() - (state.lastKeyTs || 0);
+  const isFastTyping = timeSinceLastKey < CONFIG.PERFORMANCE.FAST_TYPING_THRESHOLD;
+  const duration = isFastTyping ? 0.1 : 0.3;
+
   let letterIndex = 0;
-  for (let i = 0; i < state.events.length; i++) {
-    const ev = state.events[i];
-    if (ev.char !== '\n' && letterIndex < letters.length && letterIndex < allPositions.length) {
-      const el = letters[letterIndex];
-      const target = allPositions[letterIndex];
-      // Update event position for consistency
-      ev.x = target.x;
-      ev.y = target.y;
-      
-      // For fast typing, use shorter duration; for slow typing, use smoother animation
-      const now = Date.now();
-      const timeSinceLastKey = now - (state.lastKeyTs || 0);
-      const isFastTyping = timeSinceLastKey < 150; // Less than 150ms between keys
-      const duration = isFastTyping ? 0.1 : 0.3;
-      
-      // Animate existing letters to new positions (all letters should be positioned)
-      // Only skip animation for the very last letter if it was just created
-      const isLastLetterJustCreated = isNewLetter && letterIndex === letters.length - 1;
-      if (!isLastLetterJustCreated) {
-        gsap.to(el, { 
-          left: target.x, 
-          top: target.y, 
-          duration: duration, 
-          ease: isFastTyping ? 'power1.out' : 'power2.out'
-        });
-      }
-      letterIndex++;
+  for (const ev of state.events) {
+    if (ev.char === '\n') continue;
+    if (letterIndex >= letters.length || letterIndex >= allPositions.length) break;
+    const el = letters[letterIndex];
+    const target = allPositions[letterIndex];
+    // Update event position for consistency
+    ev.x = target.x;
+    ev.y = target.y;
+    // Animate existing letters to new positions; the new letter is already dropping in
+    if (el !== newEl) {
+      gsap.to(el, {
+        left: target.x,
+        top: target.y,
+        duration: duration,
+        ease: isFastTyping ? 'power1.out' : 'power2.out'
+      });
     }
+    letterIndex++;
   }
 
   state.lastKeyTs = Date.now();
-  
+
   // Update cursor position to show where next character will appear
   calculateCursorFromLetterPositions(container);
-  console.log('Updating cursor position to:', nextCaretPosition.x, nextCaretPosition.y);
   updateCursorPosition(container);
-  
-    scheduleInactivityPlayback();
-  } catch (error) {
-    console.error('Error handling keydown:', error);
-  }
 }
 
-function deleteLast() {
-  if (!state.events.length) return;
-  // Remove last event
-  const last = state.events[state.events.length - 1];
-  // If last is a rendered letter (not newline), remove its DOM and physics body
-  if (last.char !== '\n') {
-    const container = document.getElementById('textArea');
-    const letters = container.querySelectorAll('.typed-letter');
-    const lastEl = letters[letters.length - 1];
-    if (lastEl) {
-      // Remove physics body if present
-      removeLetterBodyByElement(lastEl);
-      lastEl.remove();
+// Remove the event at `index` (letter or newline) together with its glyph
+function deleteEventAt(index) {
+  deleteEventRange(index, index + 1);
+}
+
+// Remove events in [start, end) together with their glyphs
+function deleteEventRange(start, end) {
+  start = Math.max(0, start);
+  end = Math.min(end, state.events.length);
+  if (start >= end) return;
+  const container = document.getElementById('textArea');
+  // Remove rendered letters (not newlines) with their physics bodies
+  const letters = container.querySelectorAll('.typed-letter');
+  const firstGlyph = glyphIndexForEvent(start);
+  const lastGlyph = glyphIndexForEvent(end);
+  for (let g = firstGlyph; g < lastGlyph; g += 1) {
+    const el = letters[g];
+    if (el) {
+      removeLetterBodyByElement(el);
+      el.remove();
     }
   }
-  // Pop the last event (letter or newline)
-  state.events.pop();
+  for (let i = end - 1; i >= start; i -= 1) removeEventAt(i);
+  state.selectionAnchor = null;
   persistToStorage();
   // Reflow the remaining letters to updated optimal positions
   reflowExistingLetters();
   // Update cursor position after deletion
-  const container = document.getElementById('textArea');
   calculateCursorFromLetterPositions(container);
   updateCursorPosition(container);
+  renderSelection();
 }
 
-function removeLetterBodyByElement(el) {
-  if (!state.physics || !state.physics.world) return;
-  const { World } = Matter;
-  const arr = state.physics.letterBodies;
-  for (let i = arr.length - 1; i >= 0; i -= 1) {
-    if (arr[i].el === el) {
-      try { World.remove(state.physics.world, arr[i].body); } catch (_) {}
-      arr.splice(i, 1);
-      break;
-    }
+// ============================================================================
+// CARET & MID-TEXT EDITING
+// ============================================================================
+
+const CARET_KEYS = new Set(['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End']);
+
+// Number of rendered glyphs (non-newline events) before an event index
+function glyphIndexForEvent(eventIndex) {
+  let count = 0;
+  for (let i = 0; i < eventIndex && i < state.events.length; i += 1) {
+    if (state.events[i].char !== '\n') count += 1;
   }
+  return count;
 }
 
-function showWelcomeText() {
-  if (!state.welcomeShown) return;
-  
-  const container = document.getElementById('textArea');
-  const welcomeDiv = document.createElement('div');
-  welcomeDiv.id = 'welcomeText';
-  welcomeDiv.className = 'welcome-text';
-  welcomeDiv.innerHTML = state.welcomeText.replace(/\n/g, '<br>');
-  container.appendChild(welcomeDiv);
-  
-  // Fade in the welcome text
-  gsap.fromTo(welcomeDiv, 
-    { opacity: 0, y: 20 }, 
-    { opacity: 0.7, y: 0, duration: 1.2, ease: 'power2.out' }
+// Event index of the n-th rendered glyph
+function eventIndexForGlyph(glyphIndex) {
+  let count = 0;
+  for (let i = 0; i < state.events.length; i += 1) {
+    if (state.events[i].char === '\n') continue;
+    if (count === glyphIndex) return i;
+    count += 1;
+  }
+  return state.events.length;
+}
+
+// Insert an event and move the caret after it
+function insertEventAt(index, event) {
+  insertEventsAt(index, [event]);
+  return event;
+}
+
+// Insert a run of events keeping their relative timing. Mid-text insertions
+// start one gap after the previous event and push later events back by the
+// inserted span, so the rhythm on both sides of the edit is preserved.
+function insertEventsAt(index, events) {
+  if (!events.length) return;
+  const at = Math.max(0, Math.min(index, state.events.length));
+  const prev = state.events[at - 1];
+  const isAppend = at === state.events.length;
+  if (!isAppend || events.length > 1) {
+    const sinceLastKey = (Date.now() - (state.lastKeyTs || 0)) / 1000;
+    const gap = Math.max(
+      playbackTuning.minTimeBetweenNotes,
+      Math.min(sinceLastKey, playbackTuning.maxTimeBetweenNotes)
+    );
+    const start = prev ? prev.time + gap : (state.events[at]?.time ?? events[0].time);
+    const base = events[0].time;
+    for (const ev of events) ev.time = start + (ev.time - base);
+    const span = events[events.length - 1].time - start + gap;
+    for (let i = at; i < state.events.length; i += 1) state.events[i].time += span;
+  } else if (prev) {
+    // Earlier mid-text inserts can push the last event past the clock; keep times increasing
+    events[0].time = Math.max(events[0].time, prev.time + playbackTuning.minTimeBetweenNotes);
+  }
+  // New line breaks push the voices of the lines below down
+  const breaks = events.filter(e => e.char === '\n').length;
+  if (breaks) shiftLineVoices(lineIndexAt(at), breaks);
+  state.events.splice(at, 0, ...events);
+  state.caret = at + events.length;
+  persistToStorage();
+}
+
+// Remove an event; later events are pulled forward by its gap to the previous one
+function removeEventAt(index) {
+  const [removed] = state.events.splice(index, 1);
+  if (!removed) return null;
+  // Joining two lines keeps the upper line's voice
+  if (removed.char === '\n') shiftLineVoices(lineIndexAt(index), -1);
+  const prev = state.events[index - 1];
+  const next = state.events[index];
+  if (next) {
+    const gap = prev ? removed.time - prev.time : next.time - removed.time;
+    for (let i = index; i < state.events.length; i += 1) state.events[i].time -= gap;
+  }
+  if (state.caret > index) state.caret -= 1;
+  state.caret = Math.min(state.caret, state.events.length);
+  return removed;
+}
+
+// Caret position (container-local) for an insertion index, given the aligned layout
+function caretPositionAt(container, index, layout) {
+  const style = getComputedStyle(container);
+  const prev = state.events[index - 1];
+  const next = state.events[index];
+  if (prev && prev.char !== '\n') {
+    // Right after the previous glyph
+    const pos = layout.positions[glyphIndexForEvent(index - 1)];
+    if (pos) return { x: pos.x + measureChar(container, prev.char, style), y: pos.y };
+  } else if (next && next.char !== '\n') {
+    // Start of a line: sit on the next glyph
+    const pos = layout.positions[glyphIndexForEvent(index)];
+    if (pos) return { x: pos.x, y: pos.y };
+  }
+  // Empty line: lay out a placeholder glyph at the caret
+  const placeholder = layoutEventsAligned(
+    container,
+    [...state.events.slice(0, index), { char: 'M', note: null }],
+    state.align
   );
+  return placeholder.positions[placeholder.positions.length - 1] || { x: 0, y: 0 };
 }
 
-function clearWelcomeText() {
-  const welcomeDiv = document.getElementById('welcomeText');
-  if (welcomeDiv) {
-    gsap.to(welcomeDiv, {
-      opacity: 0,
-      y: -10,
-      duration: 0.5,
-      ease: 'power2.in',
-      onComplete: () => welcomeDiv.remove()
-    });
+// Move the caret; with `extend` the selection grows from where the caret was
+function setCaret(index, extend = false) {
+  if (extend) {
+    if (state.selectionAnchor === null) state.selectionAnchor = state.caret;
+  } else {
+    state.selectionAnchor = null;
   }
-  state.welcomeShown = false;
-  
-  // Update cursor position after clearing welcome text
+  state.caret = Math.max(0, Math.min(index, state.events.length));
   const container = document.getElementById('textArea');
   calculateCursorFromLetterPositions(container);
   updateCursorPosition(container);
+  renderSelection();
 }
 
-function clearAll() {
-  // Stop any ongoing playback and timers first
-  try { stopPlayback(); } catch (_) {}
-  if (state.scheduledTimeout) {
-    clearTimeout(state.scheduledTimeout);
-    state.scheduledTimeout = null;
+function moveCaretByKey(key, wholeDocument = false, extend = false) {
+  // Collapse an existing selection to its edge when moving without shift
+  const range = selectionRange();
+  if (range && !extend && (key === 'ArrowLeft' || key === 'ArrowRight')) {
+    return setCaret(key === 'ArrowLeft' ? range.start : range.end);
   }
-  state.events = [];
+  if (key === 'ArrowLeft') return setCaret(state.caret - 1, extend);
+  if (key === 'ArrowRight') return setCaret(state.caret + 1, extend);
+  if (wholeDocument && (key === 'Home' || key === 'End')) {
+    return setCaret(key === 'Home' ? 0 : state.events.length, extend);
+  }
+  // Line-aware moves work on the caret stops of every insertion index
   const container = document.getElementById('textArea');
-  container.innerHTML = '';
-  // reset caret measurer
-  if (nextCaretPosition.measurer) {
-    nextCaretPosition.measurer.remove();
-    nextCaretPosition.measurer = null;
-    nextCaretPosition.x = 0;
-    nextCaretPosition.y = 0;
+  const layout = layoutEventsAligned(container, state.events, state.align);
+  const stops = [];
+  for (let i = 0; i <= state.events.length; i += 1) stops.push(caretPositionAt(container, i, layout));
+  const current = stops[state.caret];
+  const sameLine = (a, b) => Math.abs(a.y - b.y) < layout.lineHeight / 2;
+  if (key === 'Home' || key === 'End') {
+    let target = state.caret;
+    const step = key === 'Home' ? -1 : 1;
+    while (stops[target + step] && sameLine(stops[target + step], current)) target += step;
+    return setCaret(target, extend);
   }
-  // reset character measurement measurer to avoid stale, detached node
-  if (measureChar.measurer) {
-    try { measureChar.measurer.remove(); } catch (_) {}
-    measureChar.measurer = null;
+  // ArrowUp / ArrowDown: closest stop on the neighbouring line
+  const targetY = current.y + (key === 'ArrowUp' ? -layout.lineHeight : layout.lineHeight);
+  let best = -1;
+  for (let i = 0; i < stops.length; i += 1) {
+    if (!sameLine(stops[i], { y: targetY })) continue;
+    if (best < 0 || Math.abs(stops[i].x - current.x) < Math.abs(stops[best].x - current.x)) best = i;
   }
-  // clear physics bodies
-  clearLetterBodies();
-  // Clear any remaining trail artifacts explicitly
-  const trailLayer = document.getElementById('trailLayer');
-  if (trailLayer) trailLayer.innerHTML = '';
-  const ball = document.getElementById('ball');
-  try { gsap.killTweensOf(ball); } catch (_) {}
-  gsap.set(ball, { opacity: 0 });
-  // Reset cursor position
-  initializeCursor(container);
-  // Recompute layout state to ensure fresh positions for next input
+  if (best >= 0) setCaret(best, extend);
+  else setCaret(key === 'ArrowUp' ? 0 : state.events.length, extend);
+}
+
+// Place the caret before or after a clicked letter, whichever half was hit.
+// Shift-click extends the selection; dragging selects (see handleSelectionDrag).
+function placeCaretFromPointer(ev) {
+  const index = caretIndexFromPointer(ev);
+  if (index === null) return false;
+  setCaret(index, ev.shiftKey);
+  state.dragSelecting = true;
+  if (state.selectionAnchor === null) state.selectionAnchor = state.caret;
+  return true;
+}
+
+function caretIndexFromPointer(ev) {
+  const el = ev.target.closest?.('.typed-letter');
+  if (!el) return null;
+  const container = document.getElementById('textArea');
+  const letters = Array.from(container.querySelectorAll('.typed-letter'));
+  const glyphIndex = letters.indexOf(el);
+  if (glyphIndex < 0) return null;
+  const eventIndex = eventIndexForGlyph(glyphIndex);
+  const rect = el.getBoundingClientRect();
+  return ev.clientX > rect.left + rect.width / 2 ? eventIndex + 1 : eventIndex;
+}
+
+function handleSelectionDrag(ev) {
+  if (!state.dragSelecting) return;
+  if (!(ev.buttons & 1)) {
+    state.dragSelecting = false;
+    return;
+  }
+  const index = caretIndexFromPointer(ev);
+  if (index !== null && index !== state.caret) setCaret(index, true);
+}
+
+// ============================================================================
+// NOTE EDITOR POPOVER
+// ============================================================================
+
+// Open the editor for the clicked letter unless the click made a selection
+function handleLetterClick(ev) {
+  if (ev.shiftKey || selectionRange()) return;
+  const el = ev.target.closest?.('.typed-letter');
+  if (!el) return;
+  const container = document.getElementById('textArea');
+  const glyphIndex = Array.from(container.querySelectorAll('.typed-letter')).indexOf(el);
+  if (glyphIndex < 0) return;
+  openNotePopover(eventIndexForGlyph(glyphIndex), el);
+}
+
+function openNotePopover(eventIndex, anchorEl) {
+  const popover = document.getElementById('notePopover');
+  const ev = state.events[eventIndex];
+  if (!popover || !ev) return;
+  state.noteEditorEvent = ev;
+  const startTime = state.events[0]?.time ?? ev.time;
+  document.getElementById('notePopoverChar').textContent = ev.char === ' ' ? '␣' : ev.char;
+  document.getElementById('noteEditNote').value = soundingEvent(ev).note ?? '';
+  document.getElementById('noteEditTime').value = String(Math.round((ev.time - startTime) * 1000));
+  syncNoteTimeLimits(eventIndex);
+  document.getElementById('noteEditDuration').value = String(Math.round((ev.duration ?? playbackTuning.noteDurationSec) * 1000));
+  document.getElementById('noteEditVelocity').value = String(ev.velocity ?? 1);
+  popover.hidden = false;
+
+  // Place below the letter, kept inside the viewport
+  const rect = anchorEl.getBoundingClientRect();
+  const width = popover.offsetWidth || 220;
+  const height = popover.offsetHeight || 200;
+  const left = Math.max(8, Math.min(window.innerWidth - width - 8, rect.left + rect.width / 2 - width / 2));
+  const below = rect.bottom + 8;
+  const top = below + height > window.innerHeight ? Math.max(8, rect.top - height - 8) : below;
+  popover.style.left = `${left}px`;
+  popover.style.top = `${top}px`;
+}
+
+// Playback reads letters in text order, so a letter's time stays between its neighbours'
+function eventTimeBounds(index) {
+  const prev = state.events[index - 1];
+  const next = state.events[index + 1];
+  return { min: prev ? prev.time : -Infinity, max: next ? next.time : Infinity };
+}
+
+function syncNoteTimeLimits(eventIndex) {
+  const startTime = state.events[0]?.time ?? 0;
+  const { min, max } = eventTimeBounds(eventIndex);
+  const lo = Math.max(0, Math.round((min - startTime) * 1000));
+  const hi = Number.isFinite(max) ? Math.round((max - startTime) * 1000) : null;
+  const input = document.getElementById('noteEditTime');
+  if (input) {
+    input.min = String(lo);
+    if (hi === null) input.removeAttribute('max');
+    else input.max = String(hi);
+  }
+  const hint = document.getElementById('noteEditTimeRange');
+  if (hint) hint.textContent = hi === null ? `${lo} ms or later` : `Between ${lo} and ${hi} ms`;
+}
+
+function closeNotePopover() {
+  const popover = document.getElementById('notePopover');
+  if (popover && !popover.hidden) popover.hidden = true;
+  state.noteEditorEvent = null;
+}
+
+// Write one popover field back into the edited event
+function applyNoteEdit(field, rawValue) {
+  const edited = state.noteEditorEvent;
+  if (!edited || !state.events.includes(edited)) return;
+  // A syllable's pitch belongs to the letter that sounds it
+  const ev = field === 'note' ? soundingEvent(edited) : edited;
+  const value = String(rawValue).trim();
+  let next;
+  if (field === 'note') {
+    if (value === '') {
+      next = null;
+    } else {
+      next = parseNoteName(value);
+      if (!next) {
+        showError(`"${value}" is not a note name (try C4 or F#3).`);
+        document.getElementById('noteEditNote').value = ev.note ?? '';
+        return;
+      }
+    }
+  } else {
+    const num = parseFloat(value);
+    if (!Number.isFinite(num)) return;
+    if (field === 'time') {
+      const { min, max } = eventTimeBounds(state.events.indexOf(ev));
+      next = Math.max(min, Math.min(max, (state.events[0]?.time ?? ev.time) + Math.max(0, num) / 1000));
+      const startTime = state.events[0]?.time ?? next;
+      document.getElementById('noteEditTime').value = String(Math.round((next - startTime) * 1000));
+    }
+    if (field === 'duration') next = Math.max(10, num) / 1000;
+    if (field === 'velocity') next = Math.max(0, Math.min(1, num));
+  }
+  if (ev[field] === next) return;
+  recordHistory();
+  ev[field] = next;
+  persistToStorage();
+}
+
+function initNotePopover() {
+  const popover = document.getElementById('notePopover');
+  if (!popover) return;
+  const fields = {
+    noteEditNote: 'note',
+    noteEditTime: 'time',
+    noteEditDuration: 'duration',
+    noteEditVelocity: 'velocity',
+  };
+  for (const [id, field] of Object.entries(fields)) {
+    document.getElementById(id)?.addEventListener('change', (e) => applyNoteEdit(field, e.target.value));
+  }
+  document.getElementById('notePreviewBtn')?.addEventListener('click', () => {
+    const edited = state.noteEditorEvent;
+    const note = edited && soundingEvent(edited).note;
+    if (!note) return;
+    const line = lineIndexAt(state.events.indexOf(edited));
+    ensureAudio().then(() => {
+      playNote(note, edited.velocity ?? 1, line, edited.duration ?? playbackTuning.noteDurationSec);
+    }).catch(err => console.warn('Audio playback failed:', err));
+  });
+  document.getElementById('notePopoverClose')?.addEventListener('click', closeNotePopover);
+  popover.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      closeNotePopover();
+      document.getElementById('letterSheet')?.focus();
+    }
+  });
+  // Click anywhere else (other than a letter) to dismiss
+  document.addEventListener('pointerdown', (e) => {
+    if (popover.hidden || popover.contains(e.target) || e.target.closest?.('.typed-letter')) return;
+    closeNotePopover();
+  });
+  document.getElementById('letterSheet')?.addEventListener('scroll', closeNotePopover);
+}
+
+// ============================================================================
+// SCALA TUNINGS (.scl / .kbm)
+// ============================================================================
+
+// Lines of a Scala file without comments ("!" lines)
+function scalaLines(text) {
+  return String(text).split(/\r?\n/).filter(line => !line.trimStart().startsWith('!'));
+}
+
+// A .scl pitch line: cents if it has a period, otherwise a ratio like 3/2 or 2
+function scalaPitchToCents(line) {
+  const token = line.trim().split(/\s+/)[0] || '';
+  if (token.includes('.')) {
+    const cents = Number(token);
+    if (Number.isFinite(cents)) return cents;
+  } else {
+    const [num, den = '1'] = token.split('/');
+    const ratio = Number(num) / Number(den);
+    if (Number.isFinite(ratio) && ratio > 0) return 1200 * Math.log2(ratio);
+  }
+  throw new Error(`Unreadable pitch "${token}" in the .scl file.`);
+}
+
+// Parse a Scala scale and optional keyboard mapping into the tuning stored in state
+function parseScalaTuning(sclText, kbmText = null, name = 'Custom tuning') {
+  const lines = scalaLines(sclText);
+  const description = (lines[0] || '').trim();
+  const count = parseInt(lines[1], 10);
+  if (!Number.isInteger(count) || count < 1) throw new Error('The .scl file has no note count.');
+  const cents = lines.slice(2, 2 + count).map(scalaPitchToCents);
+  if (cents.length < count) throw new Error(`The .scl file lists ${cents.length} of ${count} pitches.`);
+  const periodCents = cents[cents.length - 1];
+  if (!(periodCents > 0)) throw new Error('The last pitch of a .scl file must be above 1/1.');
+  const degreeCents = [0, ...cents.slice(0, -1)].sort((a, b) => a - b);
+  const tuning = {
+    name,
+    description,
+    steps: degreeCents.map(c => c / 100),
+    period: periodCents / 100,
+    anchor: null,
+    scl: String(sclText),
+    kbm: kbmText ? String(kbmText) : null,
+  };
+  if (kbmText) tuning.anchor = parseKbmAnchor(kbmText, degreeCents, periodCents);
+  return tuning;
+}
+
+// The .kbm header pins a reference key to a frequency; work back to the
+// frequency of scale degree 0 (the middle note) from it
+function parseKbmAnchor(kbmText, degreeCents, periodCents) {
+  const values = scalaLines(kbmText).map(line => line.trim().split(/\s+/)[0]).filter(Boolean);
+  const [size, , , middle, reference, frequency, octaveDegree] = values.map(Number);
+  if (![size, middle, reference, frequency].every(Number.isFinite) || frequency <= 0) {
+    throw new Error('The .kbm file header is incomplete.');
+  }
+  const n = degreeCents.length;
+  const offset = reference - middle;
+  let degree = offset;
+  if (size > 0) {
+    const entry = values[7 + (((offset % size) + size) % size)];
+    if (entry === undefined || entry === 'x') throw new Error('The .kbm reference key is unmapped.');
+    degree = Number(entry) + Math.floor(offset / size) * (octaveDegree || n);
+  }
+  const octaves = Math.floor(degree / n);
+  const centsAboveRoot = octaves * periodCents + degreeCents[degree - octaves * n];
+  const rootHz = frequency / 2 ** (centsAboveRoot / 1200);
+  return {
+    rootMidi: 69 + 12 * Math.log2(rootHz / 440),
+    octave: Math.floor(middle / 12) - 1,
+  };
+}
+
+function setTuning(tuning) {
+  if (tuning !== state.tuning) recordHistory();
+  state.tuning = tuning;
+  state.keyToNote = buildKeyToNote(state.palette);
+  syncTuningControls();
+  if (isMappingPanelOpen()) renderMappingPanel();
+  persistToStorage();
+}
+
+// Saved form: the source files, re-parsed on load
+function serializeTuning() {
+  if (!state.tuning) return null;
+  const { name, scl, kbm } = state.tuning;
+  return { name, scl, kbm };
+}
+
+function syncTuningControls() {
+  const label = document.getElementById('tuningName');
+  if (label) {
+    label.textContent = state.tuning ? state.tuning.name : '12-TET';
+    label.title = state.tuning?.description || '';
+  }
+  const clearBtn = document.getElementById('clearTuningBtn');
+  if (clearBtn) clearBtn.hidden = !state.tuning;
+  // The tuning replaces the scale, and a .kbm also fixes the key
+  const scaleSelect = document.getElementById('scaleSelect');
+  if (scaleSelect) scaleSelect.disabled = !!state.tuning;
+  const keyRootSelect = document.getElementById('keyRootSelect');
+  if (keyRootSelect) keyRootSelect.disabled = !!state.tuning?.anchor;
+}
+
+// Accepts a .scl, a .kbm, or both; a lone .kbm re-maps the current scale
+async function handleTuningFiles(ev) {
+  const files = Array.from(ev.target.files || []);
+  ev.target.value = '';
+  const scl = files.find(f => /\.scl$/i.test(f.name));
+  const kbm = files.find(f => /\.kbm$/i.test(f.name));
   try {
-    computeLineLayoutOffsets(container);
-  } catch (_) {}
-  // Show welcome text again
-  state.welcomeShown = true;
-  showWelcomeText();
+    if (!scl && !(kbm && state.tuning)) {
+      showError('Choose a Scala .scl file (optionally with a .kbm mapping).');
+      return;
+    }
+    const sclText = scl ? await scl.text() : state.tuning.scl;
+    const kbmText = kbm ? await kbm.text() : null;
+    const name = scl ? scl.name.replace(/\.scl$/i, '') : state.tuning.name;
+    setTuning(parseScalaTuning(sclText, kbmText, name));
+  } catch (error) {
+    console.error('Tuning import failed:', error);
+    showError(error.message || 'Could not read the tuning file.');
+  }
+}
+
+function initTuningControls() {
+  const fileInput = document.getElementById('tuningFile');
+  document.getElementById('tuningBtn')?.addEventListener('click', () => fileInput?.click());
+  fileInput?.addEventListener('change', handleTuningFiles);
+  document.getElementById('clearTuningBtn')?.addEventListener('click', () => setTuning(null));
+  syncTuningControls();
+}
+
+// ============================================================================
+// CHARACTER MAPPING EDITOR
+// ============================================================================
+
+function isMappingPanelOpen() {
+  const panel = document.getElementById('mappingPanel');
+  return !!panel && !panel.hidden;
+}
+
+function toggleMappingPanel(open = !isMappingPanelOpen()) {
+  const panel = document.getElementById('mappingPanel');
+  if (!panel) return;
+  if (open) closeOtherSidePanels(panel);
+  panel.hidden = !open;
+  if (open) renderMappingPanel();
+}
+
+// One cell per character: the charset plus anything edited by hand
+function renderMappingPanel() {
+  const grid = document.getElementById('mappingGrid');
+  if (!grid) return;
+  const strategySelect = document.getElementById('mappingStrategySelect');
+  if (strategySelect) strategySelect.value = state.mapping.strategy;
+  const uppercaseSelect = document.getElementById('mappingUppercaseSelect');
+  if (uppercaseSelect) uppercaseSelect.value = state.mapping.uppercase;
+  const punctuationToggle = document.getElementById('mappingPunctuationToggle');
+  if (punctuationToggle) punctuationToggle.checked = state.mapping.punctuation;
+  const unitSelect = document.getElementById('mappingUnitSelect');
+  if (unitSelect) unitSelect.value = state.mapping.unit;
+  renderMappingPresetOptions();
+  // Punctuation played by the phrasing rules rather than the map
+  const expressed = state.mapping.punctuation
+    ? { ',': 'rest', '.': 'tonic', '?': '2nd', '!': 'tonic' }
+    : {};
+
+  grid.innerHTML = '';
+  const chars = [...KEY_CHARSET, ...Object.keys(state.mapping.overrides).filter(c => !KEY_CHARSET.includes(c))];
+  for (const char of chars) {
+    const cell = document.createElement('label');
+    cell.className = 'mapping-cell';
+    cell.classList.toggle('edited', char in state.mapping.overrides);
+    const glyph = document.createElement('span');
+    glyph.textContent = char;
+    const input = document.createElement('input');
+    input.type = 'text';
+    const phrased = expressed[char] && !(char in state.mapping.overrides);
+    input.value = phrased ? '' : (state.keyToNote[char] ?? '');
+    input.placeholder = phrased ? expressed[char] : 'rest';
+    input.setAttribute('aria-label', `Note for ${char}`);
+    input.addEventListener('change', () => setMappingOverride(char, input.value));
+    cell.append(glyph, input);
+    grid.appendChild(cell);
+  }
+}
+
+function renderMappingPresetOptions() {
+  const select = document.getElementById('mappingPresetSelect');
+  if (!select) return;
+  const names = Object.keys(state.mappingPresets).sort();
+  select.innerHTML = '';
+  if (!names.length) {
+    select.appendChild(new Option('No saved mappings', ''));
+  }
+  names.forEach(name => select.appendChild(new Option(name, name)));
+  select.disabled = !names.length;
+}
+
+// An empty value makes the character a rest
+function setMappingOverride(char, rawValue) {
+  const value = String(rawValue).trim();
+  const note = value === '' ? null : parseNoteName(value);
+  if (note === null && value !== '') {
+    showError(`"${value}" is not a note name (try C4 or F#3).`);
+    renderMappingPanel();
+    return;
+  }
+  setMapping({ ...state.mapping, overrides: { ...state.mapping.overrides, [char]: note } });
+  if (note) ensureAudio().then(() => playNote(note)).catch(() => {});
+}
+
+function saveMappingPreset(name) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) {
+    showError('Give the mapping a name first.');
+    return;
+  }
+  state.mappingPresets = { ...state.mappingPresets, [trimmed]: normalizeMapping(state.mapping) };
+  renderMappingPresetOptions();
+  const select = document.getElementById('mappingPresetSelect');
+  if (select) select.value = trimmed;
   persistToStorage();
 }
 
-function buildMotionPathFromEvents(containerRect) {
-  // Build path using layout-computed positions so indices match events exactly
-  const container = document.getElementById('textArea');
-  const letterSheet = document.getElementById('letterSheet');
-  const letterSheetRect = letterSheet.getBoundingClientRect();
-  const containerRect2 = container.getBoundingClientRect();
+function applyMappingPreset(name) {
+  const preset = state.mappingPresets[name];
+  if (preset) setMapping(preset);
+}
 
-  const style = getComputedStyle(container);
-  const layout = layoutEventsAligned(container, state.events, state.align);
-  const positions = layout.positions; // one entry per non-newline glyph in order
+function deleteMappingPreset(name) {
+  if (!(name in state.mappingPresets)) return;
+  const { [name]: _removed, ...rest } = state.mappingPresets;
+  state.mappingPresets = rest;
+  renderMappingPresetOptions();
+  persistToStorage();
+}
+
+function initMappingPanel() {
+  const value = (id) => document.getElementById(id)?.value;
+  document.getElementById('mappingBtn')?.addEventListener('click', () => toggleMappingPanel());
+  document.getElementById('closeMappingBtn')?.addEventListener('click', () => toggleMappingPanel(false));
+  document.getElementById('mappingStrategySelect')?.addEventListener('change', (e) => {
+    setMapping({ ...state.mapping, strategy: e.target.value });
+  });
+  document.getElementById('mappingUppercaseSelect')?.addEventListener('change', (e) => {
+    setMapping({ ...state.mapping, uppercase: e.target.value });
+  });
+  document.getElementById('mappingPunctuationToggle')?.addEventListener('change', (e) => {
+    setMapping({ ...state.mapping, punctuation: e.target.checked });
+  });
+  document.getElementById('mappingUnitSelect')?.addEventListener('change', (e) => {
+    setMapping({ ...state.mapping, unit: e.target.value });
+    if (isPianoRollOpen()) schedulePianoRollRender();
+  });
+  document.getElementById('resetMappingBtn')?.addEventListener('click', () => {
+    setMapping({ ...state.mapping, overrides: {} });
+  });
+  document.getElementById('saveMappingPresetBtn')?.addEventListener('click', () => {
+    saveMappingPreset(value('mappingPresetName'));
+  });
+  document.getElementById('applyMappingPresetBtn')?.addEventListener('click', () => {
+    applyMappingPreset(value('mappingPresetSelect'));
+  });
+  document.getElementById('deleteMappingPresetBtn')?.addEventListener('click', () => {
+    deleteMappingPreset(value('mappingPresetSelect'));
+  });
+}
+
+// ============================================================================
+// PIANO ROLL
+// ============================================================================
+
+const pianoRoll = {
+  pxPerSecond: 140,
+  rowHeight: 14,
+  paddingSemitones: 3,
+  renderPending: false,
+  drag: null, // { el, eventIndex, noteIndex, startX, startY, semitones, dt, minDt, maxDt }
+};
+
+function isPianoRollOpen() {
+  const panel = document.getElementById('pianoRollPanel');
+  return !!panel && !panel.hidden;
+}
+
+function togglePianoRoll(open = !isPianoRollOpen()) {
+  const panel = document.getElementById('pianoRollPanel');
+  if (!panel) return;
+  panel.hidden = !open;
+  document.getElementById('pianoRollBtn')?.setAttribute('aria-pressed', String(open));
+  if (open) renderPianoRoll();
+}
+
+function schedulePianoRollRender() {
+  if (pianoRoll.renderPending || pianoRoll.drag) return;
+  pianoRoll.renderPending = true;
+  requestAnimationFrame(() => {
+    pianoRoll.renderPending = false;
+    renderPianoRoll();
+  });
+}
+
+// Draw the playback timeline as blocks on a pitch (rows) × time (columns) grid
+function renderPianoRoll() {
+  const grid = document.getElementById('pianoRollGrid');
+  if (!grid) return;
+  grid.innerHTML = '';
+  const { notes, totalDur } = buildPlaybackTimeline();
+  if (!notes.length) {
+    const empty = document.createElement('p');
+    empty.className = 'piano-roll-empty';
+    empty.textContent = 'Type some letters to see their notes here.';
+    grid.appendChild(empty);
+    grid.style.width = '';
+    grid.style.height = '';
+    return;
+  }
+  const pitches = notes.map(n => Math.round(noteToMidi(n.note)));
+  const top = Math.max(...pitches) + pianoRoll.paddingSemitones;
+  const bottom = Math.min(...pitches) - pianoRoll.paddingSemitones;
+  const { pxPerSecond, rowHeight } = pianoRoll;
+  const width = Math.max(grid.parentElement?.clientWidth || 0, (totalDur + 1) * pxPerSecond);
+  grid.style.width = `${width}px`;
+  grid.style.height = `${(top - bottom + 1) * rowHeight}px`;
+
+  // Pitch rows, shading the black keys
+  for (let midi = top; midi >= bottom; midi -= 1) {
+    const row = document.createElement('div');
+    row.className = 'roll-row';
+    if ([1, 3, 6, 8, 10].includes(((midi % 12) + 12) % 12)) row.classList.add('black');
+    row.style.top = `${(top - midi) * rowHeight}px`;
+    row.style.height = `${rowHeight}px`;
+    const label = document.createElement('span');
+    label.className = 'roll-row-label';
+    label.textContent = Tone.Frequency(midi, 'midi').toNote();
+    row.appendChild(label);
+    grid.appendChild(row);
+  }
+
+  // Beat grid lines at the quantization step
+  const beat = 60 / playbackTuning.tempoBpm;
+  grid.style.setProperty('--roll-step', `${(rhythmGridStep() || beat) * pxPerSecond}px`);
+  grid.style.setProperty('--roll-beat', `${beat * pxPerSecond}px`);
+
+  notes.forEach((n, i) => {
+    const block = document.createElement('div');
+    block.className = 'roll-note';
+    block.dataset.index = String(n.index);
+    block.dataset.noteIndex = String(n.noteIndex ?? n.index);
+    block.style.left = `${n.t * pxPerSecond}px`;
+    block.style.top = `${(top - pitches[i]) * rowHeight}px`;
+    block.style.width = `${Math.max(8, n.duration * pxPerSecond)}px`;
+    block.style.height = `${rowHeight}px`;
+    block.style.opacity = String(0.45 + 0.55 * (n.velocity ?? 1));
+    block.textContent = n.char;
+    block.title = `${n.char} · ${n.note} · ${n.t.toFixed(2)}s`;
+    grid.appendChild(block);
+  });
+}
+
+function handlePianoRollPointerDown(ev) {
+  const el = ev.target.closest?.('.roll-note');
+  if (!el) return;
+  ev.preventDefault();
+  el.setPointerCapture?.(ev.pointerId);
+  const eventIndex = Number(el.dataset.index);
+  // A block cannot pass its neighbours: playback would put it back in text order
+  const { min, max } = eventTimeBounds(eventIndex);
+  const time = state.events[eventIndex]?.time ?? 0;
+  pianoRoll.drag = {
+    el,
+    eventIndex,
+    noteIndex: Number(el.dataset.noteIndex), // the letter that sounds (see syllableEvents)
+    startX: ev.clientX,
+    startY: ev.clientY,
+    semitones: 0,
+    dt: 0,
+    minDt: min - time,
+    maxDt: max - time,
+  };
+  el.classList.add('dragging');
+  const note = state.events[pianoRoll.drag.noteIndex]?.note;
+  const line = lineIndexAt(pianoRoll.drag.noteIndex);
+  if (note) ensureAudio().then(() => playNote(note, 1, line)).catch(() => {});
+}
+
+function handlePianoRollPointerMove(ev) {
+  const drag = pianoRoll.drag;
+  if (!drag) return;
+  const dx = ev.clientX - drag.startX;
+  const dy = ev.clientY - drag.startY;
+  drag.semitones = -Math.round(dy / pianoRoll.rowHeight);
+  // Blocks are drawn at the tempo-scaled time; dt is in typed time like the events
+  const pxPerTypedSecond = pianoRoll.pxPerSecond * rhythmTimeScale();
+  drag.dt = Math.max(drag.minDt, Math.min(drag.maxDt, dx / pxPerTypedSecond));
+  drag.el.style.transform = `translate(${drag.dt * pxPerTypedSecond}px, ${-drag.semitones * pianoRoll.rowHeight}px)`;
+}
+
+// Dropping a block writes the new pitch and time back into state.events
+function handlePianoRollPointerUp() {
+  const drag = pianoRoll.drag;
+  if (!drag) return;
+  pianoRoll.drag = null;
+  const ev = state.events[drag.eventIndex];
+  if (ev && (drag.semitones !== 0 || Math.abs(drag.dt) > 0.005)) {
+    recordHistory();
+    const sounding = state.events[drag.noteIndex];
+    if (drag.semitones !== 0 && sounding?.note) {
+      sounding.note = midiToNote(noteToMidi(sounding.note) + drag.semitones);
+      const line = lineIndexAt(drag.noteIndex);
+      ensureAudio().then(() => playNote(sounding.note, 1, line)).catch(() => {});
+    }
+    if (Math.abs(drag.dt) > 0.005) {
+      // Times are relative to the first note, so moving it shifts the others instead
+      // (the neighbour bounds hold either way)
+      const firstNote = state.events.find(e => e.note);
+      if (ev === firstNote) {
+        state.events.forEach(e => { if (e !== ev) e.time -= drag.dt; });
+      } else {
+        ev.time += drag.dt;
+      }
+    }
+    persistToStorage();
+  }
+  renderPianoRoll();
+}
+
+function initPianoRoll() {
+  const grid = document.getElementById('pianoRollGrid');
+  if (!grid) return;
+  grid.addEventListener('pointerdown', handlePianoRollPointerDown);
+  grid.addEventListener('pointermove', handlePianoRollPointerMove);
+  grid.addEventListener('pointerup', handlePianoRollPointerUp);
+  grid.addEventListener('pointercancel', handlePianoRollPointerUp);
+  document.getElementById('pianoRollBtn')?.addEventListener('click', () => togglePianoRoll());
+  document.getElementById('closePianoRollBtn')?.addEventListener('click', () => togglePianoRoll(false));
+}
+
+// ============================================================================
+// KEY HOLD & TYPING DYNAMICS
+// ============================================================================
+
+const typingDynamics = {
+  fastGapMs: 90,              // keystrokes this close together play at full velocity
+  slowGapMs: 900,             // ...and this far apart at the softest
+  softestFactor: 0.55,
+  minHoldSec: 0.12,           // shortest note a quick tap records
+  maxHoldSec: 2.0,
+};
+
+// Notes sounding while their key is down:
+// key code -> { note, line, velocity, event, startedAt, sounding, voiced }
+const heldKeys = new Map();
+
+function typingVelocityFactor(now = Date.now()) {
+  if (!state.lastKeyTs) return 1;
+  const { fastGapMs, slowGapMs, softestFactor } = typingDynamics;
+  const slowness = Math.max(0, Math.min(1, (now - state.lastKeyTs - fastGapMs) / (slowGapMs - fastGapMs)));
+  return 1 - slowness * (1 - softestFactor);
+}
+
+function startHeldNote(code, fields, line) {
+  releaseHeldNote(code); // its keyup was missed (e.g. focus left the page)
+  if (!fields.note) return null;
+  const held = { note: fields.note, line, velocity: fields.velocity, event: null, startedAt: Date.now(), sounding: false, voiced: null };
+  heldKeys.set(code, held);
+  ensureAudio().then(() => {
+    if (!state.synth) return;
+    if (heldKeys.get(code) === held) {
+      // Keep the instrument: the release must reach the same one
+      held.voiced = lineVoicePreview(held.note, line);
+      held.voiced.instrument.triggerAttack(held.voiced.note, undefined, held.velocity);
+      held.sounding = true;
+    } else {
+      // Released before audio was ready
+      playNote(held.note, held.velocity, line);
+    }
+  }).catch(err => {
+    console.warn('Audio playback failed:', err);
+  });
+  return held;
+}
+
+// Stop the note and record how long the key was held as the event's duration
+function releaseHeldNote(code) {
+  const held = heldKeys.get(code);
+  if (!held) return;
+  heldKeys.delete(code);
+  try {
+    if (held.sounding) held.voiced.instrument.triggerRelease(held.voiced.note);
+  } catch (error) {
+    console.error('Error releasing note:', error);
+  }
+  const ev = held.event;
+  if (!ev || !ev.note || !state.events.includes(ev)) return;
+  const holdSec = Math.max(typingDynamics.minHoldSec,
+    Math.min(typingDynamics.maxHoldSec, (Date.now() - held.startedAt) / 1000));
+  // Capitals and cadences keep their longer expressive length
+  ev.duration = Math.max(ev.duration ?? 0, holdSec);
+  persistToStorage();
+}
+
+function handleKeyUp(ev) {
+  releaseHeldNote(ev.code);
+}
+
+function releaseAllHeldNotes() {
+  for (const code of Array.from(heldKeys.keys())) releaseHeldNote(code);
+}
+
+// ============================================================================
+// EXPRESSION (CASE & PUNCTUATION)
+// ============================================================================
+
+// Note, velocity and duration for a newly typed character. Capitals are accented or
+// voiced an octave up; commas rest, periods resolve to the tonic, question marks hang
+// on the second degree and exclamation marks land loud (see accentSentenceBefore).
+function expressiveFields(char, prevNote) {
+  const note = noteForChar(char);
+  const fields = { note, velocity: expressionTuning.baseVelocity };
+  const { uppercase, punctuation, overrides } = state.mapping;
+  if (note && char !== char.toLowerCase()) {
+    if (uppercase === 'accent') {
+      fields.velocity = expressionTuning.accentVelocity;
+      fields.duration = expressionTuning.accentDurationSec;
+    } else if (uppercase === 'octave') {
+      fields.note = midiToNote(noteToMidi(note) + 12);
+    }
+  }
+  const mark = foldChar(char);
+  // Hand-mapped punctuation keeps the note the user picked
+  if (!punctuation || mark in overrides) return fields;
+  if (mark === ',') {
+    return { note: null, duration: expressionTuning.commaRestSec };
+  }
+  const degree = { '.': 0, '!': 0, '?': 1 }[mark];
+  if (degree === undefined) return fields;
+  return {
+    note: nearestScaleDegree(degree, prevNote),
+    velocity: mark === '!' ? expressionTuning.accentVelocity : expressionTuning.baseVelocity,
+    duration: expressionTuning.cadenceDurationSec,
+  };
+}
+
+// Last sounding note before an insertion index
+function previousNote(index) {
+  for (let i = Math.min(index, state.events.length) - 1; i >= 0; i -= 1) {
+    if (state.events[i].note) return state.events[i].note;
+  }
+  return null;
+}
+
+// The given scale degree (0 = tonic) in the octave closest to `nearNote`
+function nearestScaleDegree(degree, nearNote) {
+  const steps = activeScale().steps.length;
+  const target = nearNote ? noteToMidi(nearNote) : scaleDegreeMidi(state.palette, 0);
+  let best = null;
+  for (let octave = -3; octave <= 3; octave += 1) {
+    const midi = scaleDegreeMidi(state.palette, degree + octave * steps);
+    if (best === null || Math.abs(midi - target) < Math.abs(best - target)) best = midi;
+  }
+  return midiToNote(best);
+}
+
+function isExpressiveExclamation(char) {
+  return state.mapping.punctuation && foldChar(char) === '!' && !('!' in state.mapping.overrides);
+}
+
+// Raise the velocity of the sentence an exclamation mark at `index` closes
+function accentSentenceBefore(index) {
+  for (let i = index - 1; i >= 0; i -= 1) {
+    const ev = state.events[i];
+    if (['.', '?', '!', '\n'].includes(foldChar(ev.char))) break;
+    if (ev.note) ev.velocity = Math.min(1, (ev.velocity ?? 1) + expressionTuning.exclamationBoost);
+  }
+}
+
+// ============================================================================
+// PASTED & DROPPED TEXT
+// ============================================================================
+
+function noteForChar(char) {
+  const lower = char.toLowerCase();
+  if (lower in state.keyToNote) return state.keyToNote[lower];
+  // Accented and full-width forms (é, Ａ, ！) fold onto their ASCII counterparts
+  const folded = foldChar(lower);
+  if (folded in state.keyToNote) return state.keyToNote[folded];
+  return noteForScriptChar(char);
+}
+
+// Gap (seconds) before the character that follows `char`, per the typing rhythm
+function typingGapAfter(char, position) {
+  const base = 1 / typingRhythm.charsPerSecond;
+  const pause = typingRhythm.pauses[char] ?? 1;
+  // Cheap hash so the same text always gets the same rhythm
+  const wobble = (Math.sin((position + 1) * 12.9898) * 43758.5453) % 1;
+  return base * pause * (1 + typingRhythm.variation * wobble);
+}
+
+// Turn plain text into letter events spaced by the typing rhythm
+function eventsFromText(text, prevNote = null) {
+  const chars = Array.from(text.replace(/\r\n?/g, '\n').replace(/\t/g, ' '))
+    .filter(c => c === '\n' || c >= ' ');
+  const events = [];
+  let time = Tone.now();
+  chars.forEach((char, i) => {
+    const fields = expressiveFields(char, prevNote);
+    if (fields.note) prevNote = fields.note;
+    events.push({ char, ...fields, time, x: 0, y: 0 });
+    time += typingGapAfter(char, i);
+  });
+  return events;
+}
+
+function insertTextAtCaret(text) {
+  const range = selectionRange();
+  const start = range ? range.start : state.caret;
+  const events = eventsFromText(text, previousNote(start));
+  if (!events.length) return;
+  recordHistory();
+  if (range) deleteEventRange(range.start, range.end);
+  insertEventsAt(start, events);
+  for (let i = start; i < start + events.length; i += 1) {
+    if (isExpressiveExclamation(state.events[i].char)) accentSentenceBefore(i);
+  }
+  if (state.welcomeShown) clearWelcomeText();
+  closeNotePopover();
+  renderAllLetters();
+  setCaret(state.caret);
+  state.lastKeyTs = Date.now();
+  scheduleInactivityPlayback();
+}
+
+function isTextFile(file) {
+  return file.type === 'text/plain' || /\.txt$/i.test(file.name);
+}
+
+function handleSheetDragOver(ev) {
+  const types = Array.from(ev.dataTransfer?.types || []);
+  if (!types.includes('Files') && !types.includes('text/plain')) return;
+  ev.preventDefault();
+  ev.dataTransfer.dropEffect = 'copy';
+}
+
+async function handleSheetDrop(ev) {
+  const transfer = ev.dataTransfer;
+  if (!transfer) return;
+  const file = Array.from(transfer.files || []).find(isTextFile);
+  const text = file ? null : transfer.getData('text/plain');
+  if (!file && !text) return;
+  ev.preventDefault();
+  // Drop onto a letter inserts there; anywhere else appends at the caret
+  const index = caretIndexFromPointer(ev);
+  if (index !== null) setCaret(index);
+  try {
+    insertTextAtCaret(file ? await file.text() : text);
+  } catch (error) {
+    console.error('Error reading dropped text:', error);
+    showError('Could not read the dropped file.');
+  }
+}
+
+// ============================================================================
+// IME COMPOSITION & NON-LATIN SCRIPTS
+// ============================================================================
+
+// CJK punctuation without an NFKD equivalent
+const CJK_PUNCTUATION = {
+  '。': '.', '、': ',', '「': '"', '」': '"', '『': '"', '』': '"',
+  '《': '<', '》': '>', '〈': '<', '〉': '>', '【': '[', '】': ']', '…': '.', '・': '-',
+};
+
+// Kana grouped by vowel row (a, i, u, e, o); voiced marks are stripped before lookup
+const KANA_VOWEL_ROWS = [
+  'ぁあかさたなはまゃやらゎわ',
+  'ぃいきしちにひみりゐ',
+  'ぅうくすっつぬふむゅゆるゔ',
+  'ぇえけせてねへめれゑ',
+  'ぉおこそとのほもょよろを',
+];
+
+function foldChar(char) {
+  if (CJK_PUNCTUATION[char]) return CJK_PUNCTUATION[char];
+  return char.normalize('NFKD').replace(/\p{M}/gu, '');
+}
+
+// Notes for characters outside the ASCII mapping, drawn from the current palette.
+// Kana and Hangul follow their vowel so syllables that rhyme share a pitch;
+// other letters and numbers (Han characters, Cyrillic, ...) use their code point.
+function noteForScriptChar(char) {
+  if (!/[\p{L}\p{N}]/u.test(char)) return null;
+  const pool = paletteNotes(state.palette);
+  const vowel = kanaVowel(char) ?? hangulVowel(char);
+  if (vowel !== null) return pool[vowel % pool.length];
+  return pool[char.codePointAt(0) % pool.length];
+}
+
+function kanaVowel(char) {
+  let base = foldChar(char).codePointAt(0);
+  // Katakana sits 0x60 above the matching hiragana
+  if (base >= 0x30a1 && base <= 0x30f6) base -= 0x60;
+  const hiragana = String.fromCodePoint(base);
+  const row = KANA_VOWEL_ROWS.findIndex(r => r.includes(hiragana));
+  return row >= 0 ? row : null;
+}
+
+function hangulVowel(char) {
+  const cp = char.codePointAt(0);
+  if (cp < 0xac00 || cp > 0xd7a3) return null;
+  // Precomposed syllables: ((lead * 21) + vowel) * 28 + tail
+  return Math.floor(((cp - 0xac00) % 588) / 28);
+}
+
+function handleCompositionStart(ev) {
+  state.composing = true;
+  const input = ev.target;
+  // Show the in-progress text at the caret so the IME candidate window follows it
+  const container = document.getElementById('textArea');
+  if (container) {
+    const rect = container.getBoundingClientRect();
+    input.style.left = `${rect.left + (nextCaretPosition.x || 0)}px`;
+    input.style.top = `${rect.top + (nextCaretPosition.y || 0)}px`;
+  }
+  input.classList.add('composing');
+}
+
+function handleCompositionEnd(ev) {
+  state.composing = false;
+  const input = ev.target;
+  input.classList.remove('composing');
+  input.style.left = '';
+  input.style.top = '';
+  const text = ev.data || input.value;
+  input.value = '';
+  if (!text) return;
+  const note = Array.from(text).map(noteForChar).find(Boolean);
+  if (note) ensureAudio().then(() => playNote(note)).catch(() => {});
+  insertTextAtCaret(text);
+}
+
+// ============================================================================
+// SELECTION & BULK NOTE OPERATIONS
+// ============================================================================
+
+// Selected event range [start, end), or null when the selection is collapsed
+function selectionRange() {
+  const anchor = state.selectionAnchor;
+  if (anchor === null || anchor === state.caret) return null;
+  const start = Math.max(0, Math.min(anchor, state.caret));
+  const end = Math.min(state.events.length, Math.max(anchor, state.caret));
+  return start < end ? { start, end } : null;
+}
+
+// Highlight selected letters and show the selection toolbar
+function renderSelection() {
+  const container = document.getElementById('textArea');
+  if (!container) return;
+  const range = selectionRange();
+  const letters = container.querySelectorAll('.typed-letter');
+  const first = range ? glyphIndexForEvent(range.start) : 0;
+  const last = range ? glyphIndexForEvent(range.end) : 0;
+  letters.forEach((el, g) => el.classList.toggle('selected', g >= first && g < last));
+  const bar = document.getElementById('selectionBar');
+  if (bar) bar.hidden = !range;
+}
+
+// Apply `fn(event)` to every selected event as one undoable step
+function updateSelectedEvents(fn) {
+  const range = selectionRange();
+  if (!range) return;
+  recordHistory();
+  for (let i = range.start; i < range.end; i += 1) fn(state.events[i]);
+  persistToStorage();
+}
+
+function transposeSelection(semitones) {
+  updateSelectedEvents((ev) => {
+    if (ev.note) ev.note = midiToNote(noteToMidi(ev.note) + semitones);
+  });
+}
+
+// Move notes along the active palette's scale, snapping off-scale notes first
+function shiftSelectionByScaleSteps(steps) {
+  // Every scale degree within the MIDI range, ascending
+  const scale = [];
+  for (let n = -150; n <= 150; n += 1) {
+    const midi = scaleDegreeMidi(state.palette, n);
+    if (midi >= 12 && midi <= 120) scale.push(midi);
+  }
+  updateSelectedEvents((ev) => {
+    if (!ev.note) return;
+    const midi = noteToMidi(ev.note);
+    let nearest = 0;
+    for (let i = 1; i < scale.length; i += 1) {
+      if (Math.abs(scale[i] - midi) < Math.abs(scale[nearest] - midi)) nearest = i;
+    }
+    const target = scale[Math.max(0, Math.min(scale.length - 1, nearest + steps))];
+    ev.note = midiToNote(target);
+  });
+}
+
+// Give every selected glyph (not whitespace) the same note
+function setSelectionNote(note) {
+  const normalized = parseNoteName(note);
+  if (!normalized) {
+    showError(`"${note}" is not a note name (try C4 or F#3).`);
+    return;
+  }
+  updateSelectedEvents((ev) => {
+    if (ev.char.trim()) ev.note = normalized;
+  });
+}
+
+function silenceSelection() {
+  updateSelectedEvents((ev) => { ev.note = null; });
+}
+
+function copySelection() {
+  const range = selectionRange();
+  if (!range) return null;
+  const events = state.events.slice(range.start, range.end).map(e => ({ ...e }));
+  state.clipboard = { text: events.map(e => e.char).join(''), events };
+  return state.clipboard;
+}
+
+function cutSelection() {
+  const clip = copySelection();
+  if (!clip) return null;
+  const range = selectionRange();
+  recordHistory();
+  deleteEventRange(range.start, range.end);
+  return clip;
+}
+
+// Paste copied events (with their notes and relative timing) at the caret
+function pasteClipboardEvents() {
+  const clip = state.clipboard;
+  if (!clip || !clip.events.length) return;
+  recordHistory();
+  const range = selectionRange();
+  if (range) deleteEventRange(range.start, range.end);
+  insertEventsAt(state.caret, clip.events.map(e => ({ ...e })));
+  if (state.welcomeShown) clearWelcomeText();
+  renderAllLetters();
+  setCaret(state.caret);
+}
+
+function handleClipboardEvent(ev) {
+  if (ev.type === 'paste') {
+    const text = ev.clipboardData?.getData('text/plain') ?? '';
+    if (!text) return;
+    ev.preventDefault();
+    // Letters copied from this sheet keep their notes; other text gets a typing rhythm
+    if (state.clipboard && text === state.clipboard.text) {
+      pasteClipboardEvents();
+    } else {
+      insertTextAtCaret(text);
+    }
+    return;
+  }
+  const clip = ev.type === 'cut' ? cutSelection() : copySelection();
+  if (!clip) return;
+  ev.preventDefault();
+  ev.clipboardData?.setData('text/plain', clip.text);
+}
+
+function initSelectionBar() {
+  const bar = document.getElementById('selectionBar');
+  if (!bar) return;
+  // Keep keyboard focus on the sheet while using the toolbar buttons
+  bar.addEventListener('pointerdown', (e) => {
+    if (e.target.tagName !== 'INPUT') e.preventDefault();
+  });
+  const actions = {
+    'semitone-down': () => transposeSelection(-1),
+    'semitone-up': () => transposeSelection(1),
+    'step-down': () => shiftSelectionByScaleSteps(-1),
+    'step-up': () => shiftSelectionByScaleSteps(1),
+    'set-note': () => setSelectionNote(document.getElementById('selectionNoteInput').value),
+    'silence': silenceSelection,
+    'copy': () => {
+      const clip = copySelection();
+      if (clip) navigator.clipboard?.writeText(clip.text).catch(() => {});
+    },
+    'cut': () => {
+      const clip = cutSelection();
+      if (clip) navigator.clipboard?.writeText(clip.text).catch(() => {});
+    },
+    'paste': pasteClipboardEvents,
+  };
+  bar.addEventListener('click', (e) => {
+    const action = e.target.closest('button')?.dataset.action;
+    if (action && actions[action]) actions[action]();
+  });
+  document.getElementById('selectionNoteInput')?.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') actions['set-note']();
+  });
+}
+
+// ============================================================================
+// UNDO / REDO HISTORY
+// ============================================================================
+
+// Snapshots of the letter and its settings taken before each edit
+const editHistory = {
+  undo: [],
+  redo: [],
+  limit: 200,
+  suspended: 0, // > 0 while restoring or applying a compound change
+};
+
+function captureSnapshot() {
+  return {
+    events: state.events.map(e => ({ ...e })),
+    caret: state.caret,
+    theme: state.theme,
+    font: state.font,
+    align: state.align,
+    palette: state.palette,
+    mapping: state.mapping,
+    pattern: state.pattern,
+    soundPreset: state.soundPreset,
+    tuning: state.tuning,
+    effectsRack: state.effectsRack,
+    lineVoices: state.lineVoices,
+  };
+}
+
+// Call before mutating the letter or a setting to make the change undoable
+function recordHistory() {
+  if (editHistory.suspended > 0) return;
+  editHistory.undo.push(captureSnapshot());
+  if (editHistory.undo.length > editHistory.limit) editHistory.undo.shift();
+  editHistory.redo = [];
+}
+
+// Run a compound change without recording its inner steps
+function withHistorySuspended(fn) {
+  editHistory.suspended += 1;
+  try {
+    return fn();
+  } finally {
+    editHistory.suspended -= 1;
+  }
+}
+
+function undo() {
+  const snapshot = editHistory.undo.pop();
+  if (!snapshot) return;
+  editHistory.redo.push(captureSnapshot());
+  restoreSnapshot(snapshot);
+}
+
+function redo() {
+  const snapshot = editHistory.redo.pop();
+  if (!snapshot) return;
+  editHistory.undo.push(captureSnapshot());
+  restoreSnapshot(snapshot);
+}
+
+function restoreSnapshot(snapshot) {
+  try { stopPlayback(); } catch (_) {}
+  withHistorySuspended(() => {
+    // Theme resets font and palette, so apply it first
+    if (snapshot.theme !== state.theme) setTheme(snapshot.theme);
+    if (snapshot.font !== state.font) setFont(snapshot.font);
+    if (!samePalette(snapshot.palette, state.palette)) setPalette(snapshot.palette);
+    setMapping(snapshot.mapping);
+    if (snapshot.pattern !== state.pattern) setPattern(snapshot.pattern);
+    if (snapshot.align !== state.align) setAlign(snapshot.align);
+    if (snapshot.tuning !== state.tuning) setTuning(snapshot.tuning);
+    if (!sameEffectsRack(snapshot.effectsRack, state.effectsRack)) setEffectsRack(snapshot.effectsRack);
+  });
+  // The theme brings its own instrument, so put back the one chosen from the Sound menu
+  if (snapshot.soundPreset !== state.soundPreset) restoreSoundPreset(snapshot.soundPreset);
+  state.events = snapshot.events.map(e => ({ ...e }));
+  state.lineVoices = snapshot.lineVoices || {};
+  if (state.events.length && state.welcomeShown) clearWelcomeText();
+  renderAllLetters();
+  setCaret(snapshot.caret);
+  persistToStorage();
+}
+
+function restoreSoundPreset(preset) {
+  if (!state.synth) {
+    // Audio has not started yet; ensureAudio builds this sound
+    state.soundPreset = preset;
+    return;
+  }
+  if (preset) {
+    selectSound(preset).catch(error => console.error('Sound preset failed:', error));
+  } else {
+    configureSynthForTheme(state.theme);
+  }
+}
+
+// Recreate every letter span from state.events (at their stored positions)
+// and let reflowExistingLetters move them to the current layout
+function renderAllLetters() {
+  const container = document.getElementById('textArea');
+  if (!container) return;
+  container.querySelectorAll('.typed-letter').forEach(el => el.remove());
+  if (state.physics.world) clearLetterBodies();
+  for (const ev of state.events) {
+    if (ev.char !== '\n') createLetterSpan(ev.char, container, ev.x || 0, ev.y || 0, false);
+  }
+  reflowExistingLetters();
+  renderSelection();
+}
+
+function removeLetterBodyByElement(el) {
+  if (!state.physics || !state.physics.world) return;
+  const { World } = Matter;
+  const arr = state.physics.letterBodies;
+  for (let i = arr.length - 1; i >= 0; i -= 1) {
+    if (arr[i].el === el) {
+      try { World.remove(state.physics.world, arr[i].body); } catch (_) {}
+      arr.splice(i, 1);
+      break;
+    }
+  }
+}
+
+function showWelcomeText() {
+  if (!state.welcomeShown) return;
+  
+  const container = document.getElementById('textArea');
+  const welcomeDiv = document.createElement('div');
+  welcomeDiv.id = 'welcomeText';
+  welcomeDiv.className = 'welcome-text';
+  welcomeDiv.innerHTML = state.welcomeText.replace(/\n/g, '<br>');
+  container.appendChild(welcomeDiv);
+  
+  // Fade in the welcome text
+  gsap.fromTo(welcomeDiv, 
+    { opacity: 0, y: 20 }, 
+    { opacity: 0.7, y: 0, duration: 1.2, ease: 'power2.out' }
+  );
+}
+
+function clearWelcomeText() {
+  const welcomeDiv = document.getElementById('welcomeText');
+  if (welcomeDiv) {
+    gsap.to(welcomeDiv, {
+      opacity: 0,
+      y: -10,
+      duration: 0.5,
+      ease: 'power2.in',
+      onComplete: () => welcomeDiv.remove()
+    });
+  }
+  state.welcomeShown = false;
+  
+  // Update cursor position after clearing welcome text
+  const container = document.getElementById('textArea');
+  calculateCursorFromLetterPositions(container);
+  updateCursorPosition(container);
+}
+
+function clearAll() {
+  if (state.events.length) recordHistory();
+  // Stop any ongoing playback and timers first
+  try { stopPlayback(); } catch (_) {}
+  if (state.scheduledTimeout) {
+    clearTimeout(state.scheduledTimeout);
+    state.scheduledTimeout = null;
+  }
+  state.events = [];
+  state.lineVoices = {};
+  state.caret = 0;
+  state.selectionAnchor = null;
+  renderSelection();
+  const container = document.getElementById('textArea');
+  container.innerHTML = '';
+  // reset caret measurer
+  if (nextCaretPosition.measurer) {
+    nextCaretPosition.measurer.remove();
+    nextCaretPosition.measurer = null;
+    nextCaretPosition.x = 0;
+    nextCaretPosition.y = 0;
+  }
+  // reset character measurement measurer to avoid stale, detached node
+  if (measureChar.measurer) {
+    try { measureChar.measurer.remove(); } catch (_) {}
+    measureChar.measurer = null;
+  }
+  // clear physics bodies
+  clearLetterBodies();
+  // Clear any remaining trail artifacts explicitly
+  const trailLayer = document.getElementById('trailLayer');
+  if (trailLayer) trailLayer.innerHTML = '';
+  const ball = document.getElementById('ball');
+  try { gsap.killTweensOf(ball); } catch (_) {}
+  gsap.set(ball, { opacity: 0 });
+  // Reset cursor position
+  initializeCursor(container);
+  // Recompute layout state to ensure fresh positions for next input
+  try {
+    computeLineLayoutOffsets(container);
+  } catch (_) {}
+  // Show welcome text again
+  state.welcomeShown = true;
+  showWelcomeText();
+  persistToStorage();
+}
+
+// `noteIndexes` are the events that sound (syllable mode silences some letters)
+function buildMotionPathFromEvents(containerRect, noteIndexes = null) {
+  // Build path using layout-computed positions so indices match events exactly
+  const container = document.getElementById('textArea');
+  const letterSheet = document.getElementById('letterSheet');
+  const letterSheetRect = letterSheet.getBoundingClientRect();
+  const containerRect2 = container.getBoundingClientRect();
+
+  const style = getComputedStyle(container);
+  const layout = layoutEventsAligned(container, state.events, state.align);
+  const positions = layout.positions; // one entry per non-newline glyph in order
+
+  const points = [];
+  let glyphIndex = 0;
+  for (let i = 0; i < state.events.length; i += 1) {
+    const ev = state.events[i];
+    if (ev.char === '\n') {
+      continue; // no glyph/position for newline
+    }
+    // Position in typeset layout for this glyph
+    const pos = positions[glyphIndex];
+    if (!pos) break;
+
+    if (noteIndexes ? noteIndexes.has(i) : ev.note) {
+      // Measure glyph width for robust horizontal anchoring
+      const w = measureChar(container, ev.char, style);
+      const anchor = Math.max(-0.5, Math.min(1.0, Number(playbackTuning.playheadXAnchor) || 0.5));
+      const x = (containerRect2.left - letterSheetRect.left) + pos.x + w * anchor;
+      const y = (containerRect2.top - letterSheetRect.top) + pos.y + playbackTuning.playheadYOffsetPx;
+      points.push({ x, y });
+    }
+    glyphIndex += 1;
+  }
+
+  if (points.length === 0) return null;
+  return points;
+}
+
+function stopPlayback() {
+  const ball = document.getElementById('ball');
+  const trailLayer = document.getElementById('trailLayer');
+  
+  // Stop all animations and hide ball
+  gsap.killTweensOf(ball);
+  gsap.set(ball, { opacity: 0 });
+  
+  // Clear trail
+  if (trailLayer) trailLayer.innerHTML = '';
+  
+  // Kill timeline and part if active
+  try { state.playback.tl?.kill?.(); } catch (_) {}
+  state.playback.parts.forEach((part) => {
+    try { part.dispose(); } catch (_) {}
+  });
+  state.playback.tl = null;
+  state.playback.parts = [];
+  state.playback.isPlaying = false;
+  state.playback.looping = false;
+  liveLoop.part = null;
+  liveLoop.entries = new Map();
+  Tone.Transport.loop = false;
+  
+  // Stop audio transport
+  if (Tone.Transport.state === 'started') {
+    Tone.Transport.stop();
+    Tone.Transport.position = 0;
+  }
+  // Live typing plays from the centre again
+  state.spatialStage?.reset();
+}
+
+// ============================================================================
+// PLAYBACK TIMELINE
+// ============================================================================
+
+// Build the note timeline heard during playback: times are normalized to the
+// first note, clamped to a pleasant range and snapped to the tempo grid.
+// Each entry keeps `index` (its position in `events`) and `t` in seconds.
+function buildPlaybackTimeline(events = state.events) {
+  if (state.mapping.unit === 'syllable') events = syllableEvents(events);
+  // Use only events with notes for timing calculations
+  const noteEvents = [];
+  // Silent events with a duration (commas) are rests that hold back the next note
+  let rest = 0;
+  events.forEach((e, index) => {
+    if (e.note) {
+      noteEvents.push({ ...e, index, restBefore: rest });
+      rest = 0;
+    } else if (e.duration) {
+      rest += e.duration;
+    }
+  });
+  if (noteEvents.length === 0) return { notes: [], accompaniment: [], percussion: [], totalDur: 0 };
+  const startTime = noteEvents[0].time;
+
+  // First pass: create basic timing array; each note takes its line's voice
+  const voiceOf = eventVoices(events);
+  const notes = noteEvents.map((e) => {
+    const { sound, octave } = voiceOf[e.index];
+    return {
+      ...e,
+      note: octave ? midiToNote(noteToMidi(e.note) + octave * 12) : e.note,
+      voice: sound || undefined,
+      t: Math.max(0, e.time - startTime),
+      duration: e.duration ?? playbackTuning.noteDurationSec,
+      velocity: e.velocity ?? 1,
+    };
+  });
+
+  // Second pass: apply timing thresholds for pleasant playback
+  for (let i = 1; i < notes.length; i++) {
+    const prevTime = notes[i - 1].t;
+    const timeDiff = notes[i].t - prevTime;
+
+    // Clamp timing between notes to pleasant range
+    const minGap = playbackTuning.minTimeBetweenNotes + notes[i].restBefore;
+    const maxGap = playbackTuning.maxTimeBetweenNotes + notes[i].restBefore;
+    if (timeDiff < minGap) {
+      notes[i].t = prevTime + minGap;
+    } else if (timeDiff > maxGap) {
+      notes[i].t = prevTime + maxGap;
+    }
+  }
+
+  // Scale to the tempo, then quantize/swing/humanize so bounces hit the beat
+  const scale = rhythmTimeScale();
+  const step = rhythmGridStep() || playbackTuning.minTimeBetweenNotes;
+  for (let i = 0; i < notes.length; i++) {
+    notes[i].t = Math.max(0, quantizeTime(notes[i].t * scale) + humanizeOffset(i));
+    if (i > 0 && notes[i].t <= notes[i - 1].t) {
+      notes[i].t = notes[i - 1].t + step; // ensure strictly increasing
+    }
+  }
+
+  if (state.spatial) placeNotesInSpace(notes, events);
+  const accompaniment = buildAccompaniment(notes, events);
+  const percussion = buildPercussion(notes, events);
+
+  // Compute total duration slightly beyond last event
+  const lastEnd = Math.max(
+    notes[notes.length - 1].t || 0,
+    ...accompaniment.map(n => n.t + n.duration),
+    ...percussion.map(h => h.t),
+  );
+  const totalDur = lastEnd + 0.35;
+  return { notes, accompaniment, percussion, totalDur };
+}
+
+// ============================================================================
+// SYLLABLE MODE
+// ============================================================================
+
+// Words the spelling rules below split wrongly
+const SYLLABLE_DICTIONARY = {
+  anyone: 'an-y-one', area: 'ar-e-a', being: 'be-ing', business: 'busi-ness',
+  camera: 'cam-er-a', chocolate: 'choc-o-late', create: 'cre-ate', different: 'dif-fer-ent',
+  doing: 'do-ing', evening: 'eve-ning', every: 'ev-ery', everyone: 'ev-ery-one',
+  everything: 'ev-ery-thing', family: 'fam-i-ly', favorite: 'fa-vor-ite', fire: 'fire',
+  forever: 'for-ev-er', going: 'go-ing', heaven: 'heav-en', hour: 'hour',
+  idea: 'i-de-a', interest: 'in-ter-est', lion: 'li-on', maybe: 'may-be',
+  ocean: 'o-cean', orange: 'or-ange', our: 'our', people: 'peo-ple',
+  piano: 'pi-an-o', poem: 'po-em', poems: 'po-ems', poet: 'po-et',
+  poetry: 'po-et-ry', quiet: 'qui-et', real: 're-al', really: 're-al-ly',
+  science: 'sci-ence', seven: 'sev-en', someone: 'some-one', something: 'some-thing',
+  sometimes: 'some-times', somewhere: 'some-where', today: 'to-day', together: 'to-geth-er',
+  tomorrow: 'to-mor-row', tonight: 'to-night', violin: 'vi-o-lin', whenever: 'when-ev-er',
+  yesterday: 'yes-ter-day', your: 'your', yourself: 'your-self',
+};
+
+// Consonant pairs that stay together at the start of a syllable
+const ONSET_CLUSTERS = new Set([
+  'bl', 'br', 'ch', 'cl', 'cr', 'dr', 'fl', 'fr', 'gl', 'gr', 'ph', 'pl', 'pr',
+  'qu', 'sc', 'sh', 'sk', 'sl', 'sm', 'sn', 'sp', 'st', 'sw', 'th', 'tr', 'tw', 'wh', 'wr',
+]);
+
+// Split a lowercase word into syllables: dictionary first, then vowel-group rules
+function splitSyllables(word) {
+  if (SYLLABLE_DICTIONARY[word]) return SYLLABLE_DICTIONARY[word].split('-');
+  const isVowel = (i) => 'aeiou'.includes(word[i]) || (word[i] === 'y' && i > 0 && !'aeiou'.includes(word[i - 1]));
+  // Vowel groups: [start, end) ranges
+  const nuclei = [];
+  for (let i = 0; i < word.length; i += 1) {
+    if (!isVowel(i)) continue;
+    if (nuclei.length && nuclei[nuclei.length - 1][1] === i) nuclei[nuclei.length - 1][1] = i + 1;
+    else nuclei.push([i, i + 1]);
+  }
+  // Silent final e (but not consonant + le), and -ed/-es after most consonants
+  const last = nuclei[nuclei.length - 1];
+  if (nuclei.length > 1 && last[0] === word.length - 1 && word.endsWith('e') && !/[^aeiou]le$/.test(word)) {
+    nuclei.pop();
+  } else if (nuclei.length > 1 && last[1] === word.length - 1 && /[^aeiou]e[ds]$/.test(word)
+    && !/[td]ed$|[sxz]es$|[cs]hes$|[cg]es$/.test(word)) {
+    nuclei.pop();
+  }
+  if (nuclei.length < 2) return [word];
+
+  const cuts = [];
+  for (let n = 1; n < nuclei.length; n += 1) {
+    const from = nuclei[n - 1][1];
+    const to = nuclei[n][0];
+    const consonants = word.slice(from, to);
+    let cut;
+    if (consonants.length <= 1) {
+      cut = from; // V-CV (or a vowel hiatus)
+    } else if (/[^aeiou]le$/.test(word) && n === nuclei.length - 1 && to === word.length - 1) {
+      cut = to - 2; // consonant + le: ta-ble, lit-tle
+    } else if (['ck', 'ng'].includes(consonants.slice(0, 2))) {
+      cut = from + 2; // closes the syllable: pock-et, sing-er
+    } else if (ONSET_CLUSTERS.has(consonants.slice(-2))) {
+      cut = to - 2; // the cluster starts the next syllable: fa-ther, mon-ster
+    } else {
+      cut = to - 1; // VC-CV
+    }
+    cuts.push(cut);
+  }
+  const parts = [];
+  let start = 0;
+  for (const cut of cuts) {
+    if (cut > start) {
+      parts.push(word.slice(start, cut));
+      start = cut;
+    }
+  }
+  parts.push(word.slice(start));
+  return parts;
+}
+
+// Copy of the events where each syllable sounds once: its first letter carries the
+// syllable text, the note of its vowel and a length proportional to the typing time;
+// the other letters fall silent. Live typing still sounds every key.
+// `noteIndex` and `span` on the first letter point back at the letter that sounds
+// and the number of letters in the syllable, so note edits reach the right letter.
+function syllableEvents(events) {
+  const out = events.map(e => ({ ...e }));
+  const isLetter = (c) => /^[\p{L}']$/u.test(c);
+  let i = 0;
+  while (i < events.length) {
+    if (!isLetter(events[i].char) || !/[a-z]/i.test(foldChar(events[i].char))) {
+      i += 1;
+      continue;
+    }
+    let end = i;
+    while (end < events.length && isLetter(events[end].char)) end += 1;
+    // Letters are folded one by one since a ligature folds to several characters;
+    // each syllable takes the letters that start inside it
+    const folded = events.slice(i, end).map(e => foldChar(e.char.toLowerCase()));
+    const starts = [];
+    folded.reduce((offset, f) => { starts.push(offset); return offset + f.length; }, 0);
+    let at = i;
+    let consumed = 0;
+    for (const syllable of splitSyllables(folded.join(''))) {
+      consumed += syllable.length;
+      const first = at;
+      let last = first;
+      while (last < end && starts[last - i] < consumed) last += 1;
+      if (last === first) continue; // still inside the previous letter's folding
+      const letters = events.slice(first, last);
+      const nucleus = letters.find(e => /[aeiouy]/.test(foldChar(e.char.toLowerCase())) && e.note) || letters.find(e => e.note);
+      const nextTime = events[last]?.time ?? letters[letters.length - 1].time + playbackTuning.noteDurationSec;
+      const typedSec = Math.max(0, nextTime - events[first].time) * rhythmTimeScale();
+      for (let k = first; k < last; k += 1) {
+        out[k].note = null;
+        delete out[k].duration;
+      }
+      if (nucleus) {
+        Object.assign(out[first], {
+          char: letters.map(e => e.char).join(''),
+          note: nucleus.note,
+          velocity: Math.max(...letters.map(e => e.velocity ?? 1)),
+          duration: Math.max(playbackTuning.noteDurationSec,
+            Math.min(playbackTuning.maxTimeBetweenNotes, typedSec * 0.9)),
+          noteIndex: first + letters.indexOf(nucleus),
+          span: last - first,
+        });
+      }
+      at = last;
+    }
+    i = end;
+  }
+  return out;
+}
+
+// The event whose note plays for `ev`: in syllable mode, its syllable's vowel
+function soundingEvent(ev) {
+  const index = state.events.indexOf(ev);
+  if (index < 0 || state.mapping.unit !== 'syllable') return ev;
+  const syllables = syllableEvents(state.events);
+  for (let k = index; k >= 0; k -= 1) {
+    if (syllables[k].span === undefined) continue;
+    return k + syllables[k].span > index ? state.events[syllables[k].noteIndex] : ev;
+  }
+  return ev;
+}
+
+// ============================================================================
+// RHYTHM (TEMPO, GRID, SWING, HUMANIZE)
+// ============================================================================
+
+// Seconds per grid slot; 0 when quantization is off
+function rhythmGridStep() {
+  const sub = playbackTuning.gridSubdivision;
+  return sub ? 60 / playbackTuning.tempoBpm / sub : 0;
+}
+
+// Typed timing plays as-is at the reference tempo and proportionally faster above it
+function rhythmTimeScale() {
+  return playbackTuning.referenceBpm / playbackTuning.tempoBpm;
+}
+
+// Pull a time towards its grid slot by the quantize strength. Straight grids
+// swing their off-beats; triplet grids are already uneven and are left alone.
+function quantizeTime(t) {
+  const step = rhythmGridStep();
+  if (!step) return t;
+  const slot = Math.round(t / step);
+  let target = slot * step;
+  const triplet = playbackTuning.gridSubdivision % 3 === 0;
+  if (!triplet && slot % 2 === 1) target += playbackTuning.swing * step / 3;
+  return t + playbackTuning.quantizeStrength * (target - t);
+}
+
+// Same jitter for the same note every time, so playback and exports agree
+function humanizeOffset(i) {
+  if (!playbackTuning.humanizeMs) return 0;
+  const wobble = (Math.sin((i + 1) * 78.233) * 43758.5453) % 1; // -1..1
+  return wobble * playbackTuning.humanizeMs / 1000;
+}
+
+// `dragging` marks a slider still moving; the loop restarts at its final tempo
+function setRhythm(changes, { dragging = false } = {}) {
+  const clamp = (v, min, max, fallback) => (Number.isFinite(v) ? Math.max(min, Math.min(max, v)) : fallback);
+  const t = playbackTuning;
+  if ('bpm' in changes) t.tempoBpm = clamp(Number(changes.bpm), 40, 240, t.tempoBpm);
+  if ('grid' in changes && [0, 1, 2, 3, 4, 6].includes(Number(changes.grid))) t.gridSubdivision = Number(changes.grid);
+  if ('strength' in changes) t.quantizeStrength = clamp(Number(changes.strength), 0, 1, t.quantizeStrength);
+  if ('swing' in changes) t.swing = clamp(Number(changes.swing), 0, 1, t.swing);
+  if ('humanizeMs' in changes) t.humanizeMs = clamp(Number(changes.humanizeMs), 0, 60, t.humanizeMs);
+  syncRhythmControls();
+  if (isPianoRollOpen()) schedulePianoRollRender();
+  // A running loop's length is a number of bars at the tempo it started with
+  if (!dragging && state.playback.looping && t.tempoBpm !== liveLoop.bpm) restartLiveLoop();
+  persistToStorage();
+}
+
+function currentRhythm() {
+  const t = playbackTuning;
+  return { bpm: t.tempoBpm, grid: t.gridSubdivision, strength: t.quantizeStrength, swing: t.swing, humanizeMs: t.humanizeMs };
+}
+
+function syncRhythmControls() {
+  const { bpm, grid, strength, swing, humanizeMs } = currentRhythm();
+  const set = (id, value) => {
+    const el = document.getElementById(id);
+    if (el) el.value = String(value);
+  };
+  set('bpmInput', bpm);
+  set('bpmRange', bpm);
+  set('gridSelect', grid);
+  set('quantizeRange', Math.round(strength * 100));
+  set('swingRange', Math.round(swing * 100));
+  set('humanizeRange', humanizeMs);
+  const outputs = {
+    quantizeValue: `${Math.round(strength * 100)}%`,
+    swingValue: `${Math.round(swing * 100)}%`,
+    humanizeValue: `${humanizeMs} ms`,
+  };
+  for (const [id, text] of Object.entries(outputs)) {
+    const el = document.getElementById(id);
+    if (el) el.textContent = text;
+  }
+}
+
+function isRhythmPanelOpen() {
+  const panel = document.getElementById('rhythmPanel');
+  return !!panel && !panel.hidden;
+}
+
+function toggleRhythmPanel(open = !isRhythmPanelOpen()) {
+  const panel = document.getElementById('rhythmPanel');
+  if (!panel) return;
+  if (open) closeOtherSidePanels(panel);
+  panel.hidden = !open;
+  if (open) syncRhythmControls();
+}
+
+// Side panels share the same spot, so only one is shown at a time
+function closeOtherSidePanels(panel) {
+  document.querySelectorAll('.side-panel').forEach((other) => {
+    if (other !== panel) other.hidden = true;
+  });
+}
+
+function initRhythmPanel() {
+  document.getElementById('rhythmBtn')?.addEventListener('click', () => toggleRhythmPanel());
+  document.getElementById('closeRhythmBtn')?.addEventListener('click', () => toggleRhythmPanel(false));
+  const bind = (id, event, toChanges, options) => {
+    document.getElementById(id)?.addEventListener(event, (e) => setRhythm(toChanges(parseFloat(e.target.value)), options));
+  };
+  bind('bpmInput', 'change', v => ({ bpm: v }));
+  bind('bpmRange', 'input', v => ({ bpm: v }), { dragging: true });
+  bind('bpmRange', 'change', v => ({ bpm: v }));
+  bind('gridSelect', 'change', v => ({ grid: v }));
+  bind('quantizeRange', 'input', v => ({ strength: v / 100 }));
+  bind('swingRange', 'input', v => ({ swing: v / 100 }));
+  bind('humanizeRange', 'input', v => ({ humanizeMs: v }));
+  syncRhythmControls();
+}
+
+// ============================================================================
+// LIVE LOOP
+// ============================================================================
+
+const LOOP_BARS = [1, 2, 4, 8, 16];
+
+// The running loop's melody part and which events it holds, so typing and
+// deleting can change it while it plays
+const liveLoop = {
+  part: null,
+  // event -> { time, value }: its slot in the loop (null = outside it) and the
+  // value the part plays there (null = silent)
+  entries: new Map(),
+  backingKey: null, // the accompaniment and drums now scheduled (see scheduleLoopBacking)
+  length: 0, // seconds
+  bpm: 0, // tempo the loop was started at
+  syncPending: false,
+};
+
+// { enabled, bars, delayMs }; the idle delay applies to one-shot playback too
+function setLoop(changes) {
+  const wasLooping = state.playback.looping;
+  if ('enabled' in changes) state.loop.enabled = !!changes.enabled;
+  if ('bars' in changes && LOOP_BARS.includes(Number(changes.bars))) state.loop.bars = Number(changes.bars);
+  if ('delayMs' in changes && Number.isFinite(Number(changes.delayMs))) {
+    state.inactivityMs = Math.max(500, Math.min(10000, Number(changes.delayMs)));
+  }
+  syncLoopControls();
+  // Turning the loop off or changing its length takes effect right away
+  if (wasLooping && ('enabled' in changes || 'bars' in changes)) restartLiveLoop();
+  persistToStorage();
+}
+
+// Stop the loop and, if loop mode is still on, start it again from the sheet
+function restartLiveLoop() {
+  stopPlayback();
+  if (state.loop.enabled) playSequence().catch(err => console.error('Playback failed:', err));
+}
+
+function syncLoopControls() {
+  const toggle = document.getElementById('loopToggle');
+  if (toggle) toggle.checked = state.loop.enabled;
+  const bars = document.getElementById('loopBarsSelect');
+  if (bars) bars.value = String(state.loop.bars);
+  const delay = document.getElementById('autoPlayRange');
+  if (delay) delay.value = String(state.inactivityMs / 1000);
+  const delayValue = document.getElementById('autoPlayValue');
+  if (delayValue) delayValue.textContent = `${(state.inactivityMs / 1000).toFixed(1)} s`;
+}
+
+// Loop length in seconds: whole 4/4 bars at the current tempo
+function loopLengthSec() {
+  return state.loop.bars * 4 * 60 / playbackTuning.tempoBpm;
+}
+
+// Part value for a timeline note (null when the event is silent)
+function loopValueFor(event, note) {
+  if (!note) return null;
+  const { duration, velocity, voice, placement } = note;
+  return { note: note.note, duration, velocity, voice, placement, event };
+}
+
+function sameLoopValue(a, b) {
+  if (!a || !b) return a === b;
+  return a.note === b.note && a.duration === b.duration && a.velocity === b.velocity
+    && a.voice === b.voice && a.placement?.pan === b.placement?.pan
+    && a.placement?.cutoff === b.placement?.cutoff;
+}
+
+// Play `value` in the loop at `time` for `event`, replacing what it played before
+function setLoopEntry(event, time, value) {
+  const entry = liveLoop.entries.get(event);
+  if (entry?.value) liveLoop.part.remove(entry.time, entry.value);
+  if (value) liveLoop.part.add(time, value);
+  liveLoop.entries.set(event, { time, value });
+}
+
+// Brief pop on a letter when the loop plays it
+function pulseLetter(event) {
+  const index = state.events.indexOf(event);
+  if (index < 0 || event.char === '\n') return;
+  const el = document.querySelectorAll('#textArea .typed-letter')[glyphIndexForEvent(index)];
+  if (el) gsap.fromTo(el, { scale: 1.3 }, { scale: 1, duration: 0.3, ease: 'power2.out' });
+}
+
+// Repeat the first `bars` of the letter on the Transport. Letters typed while
+// it runs join at the next grid slot; deleted letters drop out.
+async function startLiveLoop() {
+  await ensureAudio();
+  stopPlayback();
+  const { notes, accompaniment, percussion } = buildPlaybackTimeline();
+  liveLoop.length = loopLengthSec();
+  liveLoop.bpm = playbackTuning.tempoBpm;
+  const inLoop = items => items.filter(item => item.t < liveLoop.length);
+  liveLoop.part = new Tone.Part((time, value) => {
+    playTimelineNote(state, value.voice || 'synth', value, time);
+    Tone.Draw.schedule(() => pulseLetter(value.event), time);
+  }, []);
+  liveLoop.part.start(0);
+  // Everything already on the sheet is accounted for, in the loop or not
+  liveLoop.entries = new Map(state.events.map(event => [event, { time: null, value: null }]));
+  const looped = inLoop(notes);
+  ensureVoiceInstruments(state, looped);
+  state.spatialStage?.prepare(looped);
+  for (const n of looped) {
+    const event = state.events[n.index];
+    setLoopEntry(event, n.t, loopValueFor(event, n));
+  }
+
+  state.playback.parts = [liveLoop.part];
+  liveLoop.backingKey = null;
+  scheduleLoopBacking(accompaniment, percussion);
+  state.playback.isPlaying = true;
+  state.playback.looping = true;
+  Tone.Transport.stop();
+  Tone.Transport.position = 0;
+  Tone.Transport.loop = true;
+  Tone.Transport.loopStart = 0;
+  Tone.Transport.loopEnd = liveLoop.length;
+  Tone.Transport.start('+0.1');
+}
+
+// Chords and drum hits follow the whole melody, so the loop's parts for them
+// are replaced whenever what falls inside the loop changes
+function scheduleLoopBacking(accompaniment, percussion) {
+  const inLoop = items => items.filter(item => item.t < liveLoop.length);
+  const backing = inLoop(accompaniment);
+  const hits = inLoop(percussion);
+  const key = JSON.stringify([backing, hits]);
+  if (key === liveLoop.backingKey) return;
+  liveLoop.backingKey = key;
+  state.playback.parts.slice(1).forEach((part) => {
+    try { part.dispose(); } catch (_) {}
+  });
+  state.playback.parts = [
+    liveLoop.part,
+    scheduleTimeline(backing, state, 'backing'),
+    schedulePercussion(hits, state),
+  ];
+}
+
+// Edits reach a running loop once per frame, however many arrive
+function scheduleLiveLoopSync() {
+  if (!state.playback.looping || liveLoop.syncPending) return;
+  liveLoop.syncPending = true;
+  requestAnimationFrame(() => {
+    liveLoop.syncPending = false;
+    syncLiveLoop();
+  });
+}
+
+// Bring the running loop in line with the sheet after edits (see scheduleLiveLoopSync).
+// Letters keep their slot; what they play comes from a fresh timeline, so note,
+// voice and dynamics edits are heard on the next pass.
+function syncLiveLoop() {
+  if (!state.playback.looping || !liveLoop.part) return;
+  const present = new Set(state.events);
+  for (const [event, entry] of liveLoop.entries) {
+    if (present.has(event)) continue;
+    if (entry.value) liveLoop.part.remove(entry.time, entry.value);
+    liveLoop.entries.delete(event);
+  }
+  const { notes, accompaniment, percussion } = buildPlaybackTimeline();
+  ensureVoiceInstruments(state, notes);
+  state.spatialStage?.prepare(notes);
+  scheduleLoopBacking(accompaniment, percussion);
+  const noteOf = new Map(notes.map(n => [state.events[n.index], n]));
+  // New letters take successive grid slots from the next one after the playhead
+  const step = rhythmGridStep() || 60 / playbackTuning.tempoBpm / 2;
+  let slot = Math.ceil((Tone.Transport.seconds % liveLoop.length) / step - 1e-6) * step;
+  for (const event of state.events) {
+    const value = loopValueFor(event, noteOf.get(event));
+    const entry = liveLoop.entries.get(event);
+    if (entry) {
+      if (entry.time !== null && !sameLoopValue(entry.value, value)) setLoopEntry(event, entry.time, value);
+      continue;
+    }
+    if (!value) {
+      liveLoop.entries.set(event, { time: null, value: null });
+      continue;
+    }
+    if (slot >= liveLoop.length - 1e-6) slot = 0;
+    setLoopEntry(event, slot, value);
+    slot += step;
+  }
+}
+
+function initLoopControls() {
+  document.getElementById('loopToggle')?.addEventListener('change', (e) => setLoop({ enabled: e.target.checked }));
+  document.getElementById('loopBarsSelect')?.addEventListener('change', (e) => setLoop({ bars: e.target.value }));
+  document.getElementById('autoPlayRange')?.addEventListener('input', (e) => {
+    setLoop({ delayMs: parseFloat(e.target.value) * 1000 });
+  });
+  syncLoopControls();
+}
+
+// ============================================================================
+// ACCOMPANIMENT
+// ============================================================================
+
+const accompanimentTuning = {
+  chordVelocity: 0.35,
+  arpeggioVelocity: 0.3,
+  bassVelocity: 0.5,
+  arpeggioPattern: [0, 1, 2, 1], // chord tones, lowest first
+};
+
+function setAccompaniment(changes) {
+  const next = { ...state.accompaniment, ...changes };
+  if (!['off', 'chords', 'arpeggio', 'bass'].includes(next.style)) next.style = 'off';
+  if (!['line', 'word'].includes(next.span)) next.span = 'line';
+  state.accompaniment = next;
+  const styleSelect = document.getElementById('accompanimentSelect');
+  if (styleSelect) styleSelect.value = next.style;
+  const spanSelect = document.getElementById('accompanimentSpanSelect');
+  if (spanSelect) spanSelect.value = next.span;
+  persistToStorage();
+}
+
+// Split the melody into lines or words; each group gets one chord
+function groupMelodyNotes(notes, events, span) {
+  const breaks = span === 'word' ? [' ', '\n'] : ['\n'];
+  const segmentOf = [];
+  let segment = 0;
+  events.forEach((e, i) => {
+    if (breaks.includes(e.char)) segment += 1;
+    segmentOf[i] = segment;
+  });
+  const groups = [];
+  for (const n of notes) {
+    const last = groups[groups.length - 1];
+    if (last && last.segment === segmentOf[n.index]) last.notes.push(n);
+    else groups.push({ segment: segmentOf[n.index], notes: [n] });
+  }
+  return groups;
+}
+
+// Triad on a scale degree (stacked thirds within the scale) whose pitch classes
+// best cover the group's melody; ties lean towards I, V, IV and vi
+function chooseChordDegree(groupNotes) {
+  const { steps, period } = activeScale();
+  const rootMidi = paletteRootMidi(state.palette);
+  // Position within the period, so microtonal tunings compare correctly too
+  const pitchClass = (midi) => (((midi - rootMidi) % period) + period) % period;
+  const near = (a, b) => Math.min(Math.abs(a - b), period - Math.abs(a - b)) < 0.5;
+  const preference = { 0: 0.3, 4: 0.2, 3: 0.15, 5: 0.1 };
+  let best = 0;
+  let bestScore = -Infinity;
+  for (let degree = 0; degree < steps.length; degree += 1) {
+    const pcs = [0, 2, 4].map(k => pitchClass(scaleDegreeMidi(state.palette, degree + k)));
+    let score = preference[degree] || 0;
+    for (const n of groupNotes) {
+      const pc = pitchClass(noteToMidi(n.note));
+      if (pcs.some(p => near(p, pc))) score += n.duration * n.velocity;
+    }
+    if (score > bestScore) {
+      best = degree;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+// Chords, arpeggios or a bass line under the melody timeline
+function buildAccompaniment(notes, events = state.events) {
+  const { style, span } = state.accompaniment;
+  if (style === 'off' || !notes.length) return [];
+  const steps = activeScale().steps.length;
+  const beat = 60 / playbackTuning.tempoBpm;
+  const toNote = (degree, octaveShift) => midiToNote(scaleDegreeMidi(state.palette, degree + octaveShift * steps));
+  const groups = groupMelodyNotes(notes, events, span);
+  const out = [];
+  groups.forEach((group, g) => {
+    const first = group.notes[0];
+    const last = group.notes[group.notes.length - 1];
+    const start = first.t;
+    const end = groups[g + 1]?.notes[0].t ?? last.t + Math.max(last.duration, beat * 2);
+    const length = Math.max(beat / 2, end - start);
+    const degree = chooseChordDegree(group.notes);
+    const chord = [0, 2, 4].map(k => toNote(degree + k, -1));
+
+    if (style === 'chords') {
+      chord.forEach(note => out.push({
+        t: start, note, duration: length * 0.95, velocity: accompanimentTuning.chordVelocity,
+      }));
+    } else if (style === 'arpeggio') {
+      const step = beat / 2;
+      const pattern = accompanimentTuning.arpeggioPattern;
+      for (let i = 0; start + i * step < end - 0.001; i += 1) {
+        out.push({
+          t: start + i * step,
+          note: chord[pattern[i % pattern.length]],
+          duration: step * 0.9,
+          velocity: accompanimentTuning.arpeggioVelocity,
+        });
+      }
+    } else if (style === 'bass') {
+      // Root on the downbeats, fifth in between
+      for (let i = 0; start + i * beat < end - 0.001; i += 1) {
+        out.push({
+          t: start + i * beat,
+          note: toNote(degree + (i % 2 ? 4 : 0), -2),
+          duration: Math.min(beat, end - start - i * beat) * 0.9,
+          velocity: accompanimentTuning.bassVelocity,
+        });
+      }
+    }
+  });
+  return out;
+}
+
+// ============================================================================
+// LINE VOICES
+// ============================================================================
+
+const LINE_VOICE_OCTAVES = [-2, -1, 0, 1, 2];
+const MAIN_VOICE = { sound: null, octave: 0 }; // the Sound menu's instrument
+
+// Hard line (0-based) that the event at `index` belongs to
+function lineIndexAt(index, events = state.events) {
+  let line = 0;
+  for (let i = 0; i < index && i < events.length; i += 1) {
+    if (events[i].char === '\n') line += 1;
+  }
+  return line;
+}
+
+// Voice per line, following unset lines' voice from the line above
+function resolvedLineVoices(lineCount) {
+  const voices = [];
+  let current = MAIN_VOICE;
+  for (let line = 0; line < lineCount; line += 1) {
+    current = state.lineVoices[line] || current;
+    voices.push(current);
+  }
+  return voices;
+}
+
+// Voice for every event; a line break belongs to the line it ends
+function eventVoices(events) {
+  const lineCount = events.filter(e => e.char === '\n').length + 1;
+  const voices = resolvedLineVoices(lineCount);
+  let line = 0;
+  return events.map((e) => {
+    const voice = voices[line];
+    if (e.char === '\n') line += 1;
+    return voice;
+  });
+}
+
+// Move the voices of lines after `afterLine` by `delta`; lines merged away lose theirs
+function shiftLineVoices(afterLine, delta) {
+  const next = {};
+  for (const [key, voice] of Object.entries(state.lineVoices)) {
+    const line = Number(key);
+    if (line <= afterLine) next[line] = voice;
+    else if (line + delta > afterLine) next[line + delta] = voice;
+  }
+  state.lineVoices = next;
+}
+
+function normalizeLineVoice(voice) {
+  if (!voice || typeof voice !== 'object') return null;
+  const octave = Number(voice.octave);
+  return {
+    // Only instruments the Sound menu knows; the name is looked up in state.voices
+    sound: isKnownSound(voice.sound) ? voice.sound : null,
+    octave: LINE_VOICE_OCTAVES.includes(octave) ? octave : 0,
+  };
+}
+
+// Replace all line voices (loading a letter); sample instruments are decoded ahead
+function setLineVoices(lineVoices) {
+  const next = {};
+  for (const [key, voice] of Object.entries(lineVoices || {})) {
+    const normalized = normalizeLineVoice(voice);
+    if (normalized && Number.isInteger(Number(key)) && Number(key) >= 0) next[Number(key)] = normalized;
+  }
+  state.lineVoices = next;
+  Object.values(next).forEach(voice => loadVoiceSamples(voice.sound));
+  scheduleLineGutterRender();
+}
+
+// `voice` null makes the line continue the voice above
+function setLineVoice(line, voice) {
+  recordHistory();
+  const next = { ...state.lineVoices };
+  const normalized = normalizeLineVoice(voice);
+  if (normalized) next[line] = normalized;
+  else delete next[line];
+  state.lineVoices = next;
+  if (normalized) loadVoiceSamples(normalized.sound);
+  persistToStorage();
+}
+
+// Decode a sample voice, then drop any placeholder instrument made before it loaded
+function loadVoiceSamples(sound) {
+  if (!isSamplePreset(sound)) return;
+  loadSampleInstrument(sound.slice(SAMPLE_PRESET_PREFIX.length)).then(() => {
+    try { state.voices[sound]?.dispose(); } catch (_) {}
+    delete state.voices[sound];
+    state.spatialStage?.removeVoice(sound);
+    restoreLineVoiceInstruments();
+  }).catch(error => console.warn('Line voice samples unavailable:', error));
+}
+
+// Create instruments for the line voices these notes use, next to the main
+// synth so they share the spatial stage and effects rack
+function ensureVoiceInstruments(target, notes) {
+  target.voices = target.voices || {};
+  for (const sound of new Set(notes.map(n => n.voice).filter(Boolean))) {
+    if (target.voices[sound]) continue;
+    const instrument = createPresetInstrument(sound);
+    instrument.connect(target.spatialStage.input);
+    target.spatialStage.addVoice(sound, () => createPresetInstrument(sound));
+    target.voices[sound] = instrument;
+  }
+}
+
+// Running parts look their instruments up as they play, so a rebuilt chain or
+// a voice whose samples just loaded needs every line voice (and, mid-playback,
+// the spatial lanes) back before the next note
+function restoreLineVoiceInstruments() {
+  if (!state.synth) return;
+  const sounds = Object.values(state.lineVoices).map(v => v.sound).filter(Boolean);
+  ensureVoiceInstruments(state, sounds.map(sound => ({ voice: sound })));
+  if (state.playback.isPlaying && state.spatial) state.spatialStage?.prepare(buildPlaybackTimeline().notes);
+}
+
+// The instrument a part plays on: the chain's own synth or backing, or a line
+// voice by sound name (never any other property of `target`)
+function voiceInstrument(target, voice) {
+  if (voice === 'synth' || voice === 'backing') return target[voice];
+  return Object.hasOwn(target.voices || {}, voice) ? target.voices[voice] : undefined;
+}
+
+// Instrument and pitch for a note played live on `line`, so typing and
+// previews sound the way that line plays back
+function lineVoicePreview(note, line) {
+  const voice = resolvedLineVoices(line + 1)[line];
+  if (voice.sound) ensureVoiceInstruments(state, [{ voice: voice.sound }]);
+  return {
+    instrument: (voice.sound && state.voices[voice.sound]) || state.synth,
+    note: voice.octave ? midiToNote(noteToMidi(note) + voice.octave * 12) : note,
+  };
+}
+
+// One Tone.Part per voice; every part plays into the same mix
+function scheduleMelody(notes, target) {
+  ensureVoiceInstruments(target, notes);
+  target.spatialStage?.prepare(notes);
+  const byVoice = new Map();
+  for (const n of notes) {
+    const voice = n.voice || 'synth';
+    if (!byVoice.has(voice)) byVoice.set(voice, []);
+    byVoice.get(voice).push(n);
+  }
+  return Array.from(byVoice, ([voice, voiceNotes]) => scheduleTimeline(voiceNotes, target, voice));
+}
+
+// Short gutter label such as "E-Piano +1"
+function lineVoiceLabel(voice) {
+  const soundSelect = document.getElementById('soundSelect');
+  const option = voice.sound && Array.from(soundSelect?.options || []).find(o => o.value === voice.sound);
+  const name = voice.sound ? option?.textContent || voice.sound : 'Main';
+  return voice.octave ? `${name} ${voice.octave > 0 ? '+' : ''}${voice.octave}` : name;
+}
+
+let lineGutterRenderPending = false;
+
+function scheduleLineGutterRender() {
+  if (lineGutterRenderPending) return;
+  lineGutterRenderPending = true;
+  requestAnimationFrame(() => {
+    lineGutterRenderPending = false;
+    renderLineGutter();
+  });
+}
+
+// Top (container-local) of every hard line, from the aligned layout
+function hardLineTops(container) {
+  const { positions, lineHeight } = layoutEventsAligned(container, state.events, state.align);
+  const tops = [];
+  let glyph = 0;
+  let lineStart = true;
+  let nextTop = 0; // where an empty line would sit
+  for (const ev of state.events) {
+    if (lineStart) tops.push(null);
+    lineStart = ev.char === '\n';
+    if (lineStart) {
+      if (tops[tops.length - 1] === null) tops[tops.length - 1] = nextTop;
+      nextTop = tops[tops.length - 1] + lineHeight;
+      continue;
+    }
+    const pos = positions[glyph++];
+    if (!pos) continue;
+    if (tops[tops.length - 1] === null) tops[tops.length - 1] = pos.y;
+    nextTop = pos.y + lineHeight;
+  }
+  if (lineStart) tops.push(nextTop);
+  else if (tops[tops.length - 1] === null) tops[tops.length - 1] = nextTop;
+  return tops;
+}
+
+// One button per line beside the text; lines with their own voice show its name
+function renderLineGutter() {
+  const gutter = document.getElementById('lineGutter');
+  const container = document.getElementById('textArea');
+  if (!gutter || !container) return;
+  gutter.innerHTML = '';
+  if (!state.events.length) return;
+  const tops = hardLineTops(container);
+  const voices = resolvedLineVoices(tops.length);
+  tops.forEach((top, line) => {
+    const own = state.lineVoices[line];
+    const btn = document.createElement('button');
+    btn.className = 'line-voice-btn';
+    btn.classList.toggle('set', !!own);
+    btn.style.top = `${top}px`;
+    btn.textContent = own ? lineVoiceLabel(own) : '♪';
+    btn.title = `Line ${line + 1}: ${lineVoiceLabel(voices[line])}${own || line === 0 ? '' : ' (from above)'}`;
+    btn.setAttribute('aria-label', `Voice for line ${line + 1}`);
+    btn.addEventListener('click', () => openVoicePopover(line, btn));
+    gutter.appendChild(btn);
+  });
+}
+
+let voicePopoverLine = null;
+
+function openVoicePopover(line, anchorEl) {
+  const popover = document.getElementById('voicePopover');
+  const soundSelect = document.getElementById('lineVoiceSound');
+  if (!popover || !soundSelect) return;
+  voicePopoverLine = line;
+  // Same choices as the Sound menu, including sample instruments
+  soundSelect.innerHTML = '';
+  soundSelect.appendChild(new Option(line === 0 ? 'Main instrument' : 'Same as line above', ''));
+  if (line > 0) soundSelect.appendChild(new Option('Main instrument', 'main'));
+  Array.from(document.getElementById('soundSelect')?.options || []).forEach((option) => {
+    soundSelect.appendChild(new Option(option.textContent, option.value));
+  });
+  const own = state.lineVoices[line];
+  soundSelect.value = own ? own.sound || (line > 0 ? 'main' : '') : '';
+  const octaveSelect = document.getElementById('lineVoiceOctave');
+  if (octaveSelect) octaveSelect.value = String(own?.octave ?? 0);
+  document.getElementById('voicePopoverLine').textContent = String(line + 1);
+  popover.hidden = false;
+
+  // Beside the gutter button, kept inside the viewport
+  const rect = anchorEl.getBoundingClientRect();
+  const width = popover.offsetWidth || 220;
+  const height = popover.offsetHeight || 140;
+  const left = Math.max(8, Math.min(window.innerWidth - width - 8, rect.right + 8));
+  const top = Math.max(8, Math.min(window.innerHeight - height - 8, rect.top));
+  popover.style.left = `${left}px`;
+  popover.style.top = `${top}px`;
+}
+
+function closeVoicePopover() {
+  const popover = document.getElementById('voicePopover');
+  if (popover && !popover.hidden) popover.hidden = true;
+  voicePopoverLine = null;
+}
+
+function applyVoicePopover() {
+  if (voicePopoverLine === null) return;
+  const sound = document.getElementById('lineVoiceSound')?.value || '';
+  const octave = parseInt(document.getElementById('lineVoiceOctave')?.value, 10) || 0;
+  // Following the line above (or, on the first line, the main instrument
+  // unshifted) needs no voice of its own
+  const inherit = sound === '' && (voicePopoverLine > 0 || octave === 0);
+  setLineVoice(voicePopoverLine, inherit ? null : { sound: sound === 'main' ? null : sound || null, octave });
+}
+
+function initLineVoices() {
+  const popover = document.getElementById('voicePopover');
+  if (!popover) return;
+  document.getElementById('lineVoiceSound')?.addEventListener('change', applyVoicePopover);
+  document.getElementById('lineVoiceOctave')?.addEventListener('change', applyVoicePopover);
+  document.getElementById('voicePopoverClose')?.addEventListener('click', closeVoicePopover);
+  popover.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      closeVoicePopover();
+      document.getElementById('letterSheet')?.focus();
+    }
+  });
+  document.addEventListener('pointerdown', (e) => {
+    if (popover.hidden || popover.contains(e.target) || e.target.closest?.('.line-voice-btn')) return;
+    closeVoicePopover();
+  });
+  document.getElementById('letterSheet')?.addEventListener('scroll', closeVoicePopover);
+}
+
+// ============================================================================
+// SPATIAL MODE
+// ============================================================================
+
+// Left-to-right position pans the melody; each line further down the sheet
+// sounds darker, as if further away
+const spatialTuning = {
+  panWidth: 0.8, // pan at the sheet edges (-1..1 is hard left..right)
+  brightestHz: 12000, // low-pass cutoff on the first line
+  darkestHz: 1200, // ...and on the last
+  maxLanes: 8, // at most this many placed notes pan independently at once
+  tailSec: 1.5, // a lane stays busy this long after its note ends (release)
+};
+
+function setSpatial(enabled) {
+  state.spatial = !!enabled;
+  const toggle = document.getElementById('spatialToggle');
+  if (toggle) toggle.checked = state.spatial;
+  if (!state.spatial) state.spatialStage?.reset();
+  persistToStorage();
+}
+
+// Melody-only filters and panners. Instruments connected to `input` play
+// unplaced; a placed note takes the lane that has been quiet longest, which
+// has its own filter, panner and copy of the instrument (a PolySynth's voices
+// cannot be routed apart), so placing it never moves a note still sounding.
+// Lanes are only built once spatial notes are scheduled, as many as the
+// densest stretch of the melody needs up to `maxLanes`; a note that finds
+// every lane busy plays unplaced rather than moving one.
+function createSpatialStage() {
+  const output = new Tone.Gain(1);
+  const input = new Tone.Gain(1).connect(output);
+  const factories = {}; // voice -> () => instrument, for each lane's copy
+  const lanes = [];
+  const fillLane = (lane) => {
+    for (const [voice, create] of Object.entries(factories)) {
+      if (!lane.instruments[voice]) lane.instruments[voice] = create().connect(lane.filter);
+    }
+  };
+  return {
+    input,
+    output,
+    // Every lane, now and later, gets its own copy of the instrument named `voice`
+    addVoice(voice, create) {
+      factories[voice] = create;
+      lanes.forEach(fillLane);
+    },
+    removeVoice(voice) {
+      delete factories[voice];
+      for (const lane of lanes) {
+        try { lane.instruments[voice]?.dispose(); } catch (_) {}
+        delete lane.instruments[voice];
+      }
+    },
+    // Build enough lanes for these timeline notes. Call while scheduling, so
+    // the nodes land in the same Tone context as the parts that play them.
+    prepare(notes) {
+      const spans = notes.filter(n => n.placement)
+        .map(n => [n.t, n.t + (n.duration || 0) + spatialTuning.tailSec])
+        .sort((a, b) => a[0] - b[0]);
+      const ends = [];
+      let needed = 0;
+      for (const [start, end] of spans) {
+        while (ends.length && ends[0] <= start) ends.shift();
+        ends.push(end);
+        ends.sort((a, b) => a - b);
+        needed = Math.max(needed, ends.length);
+      }
+      while (lanes.length < Math.min(needed, spatialTuning.maxLanes)) {
+        const filter = new Tone.Filter({ type: 'lowpass', frequency: spatialTuning.brightestHz, rolloff: -12 });
+        const panner = new Tone.Panner(0);
+        filter.chain(panner, output);
+        const lane = { filter, panner, instruments: {}, busyUntil: 0 };
+        fillLane(lane);
+        lanes.push(lane);
+      }
+    },
+    // Position a free lane for a note and return the instrument that should
+    // play it, or null to play it unplaced
+    place(voice, { pan, cutoff }, time, duration) {
+      const lane = lanes.reduce((best, l) => (!best || l.busyUntil < best.busyUntil ? l : best), null);
+      if (!lane || lane.busyUntil > time) return null;
+      const instrument = Object.hasOwn(lane.instruments, voice) ? lane.instruments[voice] : null;
+      if (!instrument) return null;
+      lane.panner.pan.setValueAtTime(pan, time);
+      lane.filter.frequency.setValueAtTime(cutoff, time);
+      lane.busyUntil = time + duration + spatialTuning.tailSec;
+      return instrument;
+    },
+    reset() {
+      lanes.forEach((lane) => { lane.busyUntil = 0; });
+    },
+    dispose() {
+      for (const lane of lanes) {
+        Object.values(lane.instruments).forEach(instrument => instrument.dispose());
+        lane.filter.dispose();
+        lane.panner.dispose();
+      }
+      input.dispose();
+      output.dispose();
+    },
+  };
+}
+
+// Give each timeline note a `placement` ({ pan, cutoff }) from its letter's
+// layout position. Lines are the distinct rows of the laid-out letter, so
+// wrapped lines count too.
+function placeNotesInSpace(notes, events) {
+  const rows = Array.from(new Set(events.map(e => Math.round(e.y || 0)))).sort((a, b) => a - b);
+  const container = document.getElementById('textArea');
+  const width = container?.clientWidth || Math.max(1, ...events.map(e => e.x || 0));
+  const { panWidth, brightestHz, darkestHz } = spatialTuning;
+  for (const n of notes) {
+    const across = Math.max(0, Math.min(1, (n.x || 0) / width));
+    const down = rows.length > 1 ? rows.indexOf(Math.round(n.y || 0)) / (rows.length - 1) : 0;
+    n.placement = {
+      pan: (across * 2 - 1) * panWidth,
+      cutoff: brightestHz * (darkestHz / brightestHz) ** down,
+    };
+  }
+}
+
+// ============================================================================
+// PERCUSSION
+// ============================================================================
+
+// Which characters hit which drum; velocity per drum
+const percussionTuning = {
+  hits: {
+    ' ': 'hat',
+    '\n': 'kick',
+    '.': 'snare', '!': 'snare', '?': 'snare',
+    ',': 'shaker', ';': 'shaker', ':': 'shaker',
+  },
+  velocity: { kick: 0.9, snare: 0.7, hat: 0.35, shaker: 0.4 },
+  midiNote: { kick: 36, snare: 38, hat: 42, shaker: 70 }, // General MIDI drum map
+};
+
+function setPercussion(enabled) {
+  state.percussion = !!enabled;
+  const toggle = document.getElementById('percussionToggle');
+  if (toggle) toggle.checked = state.percussion;
+  persistToStorage();
+}
 
-  const points = [];
-  let glyphIndex = 0;
-  for (let i = 0; i < state.events.length; i += 1) {
-    const ev = state.events[i];
-    if (ev.char === '\n') {
-      continue; // no glyph/position for newline
-    }
-    // Position in typeset layout for this glyph
-    const pos = positions[glyphIndex];
-    if (!pos) break;
+// Kick from a MembraneSynth; snare, hat and shaker from filtered noise.
+// The snare joins the reverb send, the rest stay dry on the chain's output.
+function createDrumKit(effects) {
+  const kick = new Tone.MembraneSynth({
+    pitchDecay: 0.05,
+    octaves: 6,
+    envelope: { attack: 0.001, decay: 0.35, sustain: 0, release: 0.1 },
+    volume: -6,
+  }).connect(effects.output);
+  const snareFilter = new Tone.Filter(1800, 'highpass').connect(effects.send);
+  const snare = new Tone.NoiseSynth({
+    noise: { type: 'white' },
+    envelope: { attack: 0.001, decay: 0.16, sustain: 0 },
+    volume: -14,
+  }).connect(snareFilter);
+  const hatFilter = new Tone.Filter(8000, 'highpass').connect(effects.output);
+  const hat = new Tone.NoiseSynth({
+    noise: { type: 'white' },
+    envelope: { attack: 0.001, decay: 0.04, sustain: 0 },
+    volume: -20,
+  }).connect(hatFilter);
+  const shakerFilter = new Tone.Filter(5000, 'bandpass').connect(effects.output);
+  const shaker = new Tone.NoiseSynth({
+    noise: { type: 'pink' },
+    envelope: { attack: 0.012, decay: 0.08, sustain: 0 },
+    volume: -16,
+  }).connect(shakerFilter);
+  const nodes = [kick, snare, snareFilter, hat, hatFilter, shaker, shakerFilter];
+  return {
+    trigger(drum, time, velocity) {
+      if (drum === 'kick') kick.triggerAttackRelease('C1', 0.3, time, velocity);
+      else if (drum === 'snare') snare.triggerAttackRelease(0.16, time, velocity);
+      else if (drum === 'hat') hat.triggerAttackRelease(0.04, time, velocity);
+      else if (drum === 'shaker') shaker.triggerAttackRelease(0.08, time, velocity);
+    },
+    dispose() {
+      nodes.forEach(node => node.dispose());
+    },
+  };
+}
 
-    if (ev.note) {
-      // Measure glyph width for robust horizontal anchoring
-      const w = measureChar(container, ev.char, style);
-      const anchor = Math.max(-0.5, Math.min(1.0, Number(playbackTuning.playheadXAnchor) || 0.5));
-      const x = (containerRect2.left - letterSheetRect.left) + pos.x + w * anchor;
-      const y = (containerRect2.top - letterSheetRect.top) + pos.y + playbackTuning.playheadYOffsetPx;
-      points.push({ x, y });
+// Drum hits for the silent and punctuation events, placed between the
+// surrounding melody notes in proportion to their typed times, then quantized
+function buildPercussion(notes, events = state.events) {
+  if (!state.percussion || !notes.length) return [];
+  const hits = [];
+  const taken = new Set();
+  let next = 0; // first melody note after the current event
+  events.forEach((e, index) => {
+    while (next < notes.length && notes[next].index <= index) next += 1;
+    const drum = percussionTuning.hits[foldChar(e.char)];
+    const prev = notes[next - 1];
+    if (!drum || !prev) return;
+    const after = notes[next];
+    let t = prev.t;
+    if (prev.index !== index) {
+      const typed = Math.max(0, e.time - prev.time);
+      t = after && after.time > prev.time
+        ? prev.t + Math.min(1, typed / (after.time - prev.time)) * (after.t - prev.t)
+        : prev.t + Math.min(typed, playbackTuning.maxTimeBetweenNotes) * rhythmTimeScale();
     }
-    glyphIndex += 1;
-  }
+    t = quantizeTime(t);
+    const key = `${drum}@${Math.round(t * 100)}`;
+    if (taken.has(key)) return;
+    taken.add(key);
+    hits.push({ t, drum, velocity: percussionTuning.velocity[drum] });
+  });
+  return hits.sort((a, b) => a.t - b.t);
+}
 
-  if (points.length === 0) return null;
-  return points;
+function schedulePercussion(hits, target) {
+  const part = new Tone.Part((time, hit) => {
+    target.drums?.trigger(hit.drum, time, hit.velocity);
+  }, hits.map(h => [h.t, h]));
+  part.loop = false;
+  part.start(0);
+  return part;
 }
 
-function stopPlayback() {
-  const ball = document.getElementById('ball');
-  const trailLayer = document.getElementById('trailLayer');
-  
-  // Stop all animations and hide ball
-  gsap.killTweensOf(ball);
-  gsap.set(ball, { opacity: 0 });
-  
-  // Clear trail
-  if (trailLayer) trailLayer.innerHTML = '';
-  
-  // Kill timeline and part if active
-  try { state.playback.tl?.kill?.(); } catch (_) {}
-  try { state.playback.part?.dispose?.(); } catch (_) {}
-  state.playback.tl = null;
-  state.playback.part = null;
-  state.playback.isPlaying = false;
-  
-  // Stop audio transport
-  if (Tone.Transport.state === 'started') {
-    Tone.Transport.stop();
-    Tone.Transport.position = 0;
-  }
+// Trigger one timeline note; placed notes sound from their own spatial lane
+function playTimelineNote(target, voice, value, time) {
+  const placed = value.placement && target.spatialStage?.place(voice, value.placement, time, value.duration);
+  const instrument = placed || voiceInstrument(target, voice);
+  instrument?.triggerAttackRelease(value.note, value.duration, time, value.velocity);
+}
+
+// Schedule timeline notes on the transport. `voice` names the instrument on
+// `target` (see voiceInstrument); it is read at trigger time so live playback
+// follows instrument swaps made while it plays.
+function scheduleTimeline(notes, target, voice = 'synth') {
+  const part = new Tone.Part((time, value) => {
+    if (!value.note) return;
+    playTimelineNote(target, voice, value, time);
+  }, notes.map((e, i) => [e.t, { note: e.note, duration: e.duration, velocity: e.velocity, placement: e.placement, index: i }]));
+  // Single pass playback
+  part.loop = false;
+  part.start(0);
+  return part;
+}
+
+// Render the playback timeline offline through the same sound chain and
+// master volume used for live playback
+async function renderTimelineOffline(timeline = buildPlaybackTimeline()) {
+  const volumeDb = Tone.getDestination().volume.value;
+  const duration = timeline.totalDur + playbackTuning.renderTailSec;
+  return Tone.Offline(async (context) => {
+    context.destination.volume.value = volumeDb;
+    const chain = createSoundChain();
+    await chain.ready;
+    scheduleMelody(timeline.notes, chain);
+    scheduleTimeline(timeline.accompaniment, chain, 'backing');
+    schedulePercussion(timeline.percussion, chain);
+    context.transport.start();
+  }, duration, 2);
 }
 
 async function playSequence() {
@@ -1033,6 +4571,7 @@ async function playSequence() {
   const eventsWithNotes = state.events.filter(e => e.note);
   console.log('Events with notes:', eventsWithNotes.length);
   if (eventsWithNotes.length === 0) return;
+  if (state.loop.enabled) return startLiveLoop();
   
   console.log('Ensuring audio...');
   await ensureAudio();
@@ -1045,59 +4584,19 @@ async function playSequence() {
   const trailLayer = document.getElementById('trailLayer');
   const container = document.getElementById('textArea');
   const rect = container.getBoundingClientRect();
-  const points = buildMotionPathFromEvents(rect);
+  // Normalized, clamped and quantized note timeline (shared with exports)
+  const { notes: rel, accompaniment, percussion, totalDur } = buildPlaybackTimeline();
+  const points = buildMotionPathFromEvents(rect, new Set(rel.map(n => n.index)));
   if (!points || points.length === 0) return;
 
-  // Normalize times relative to the first event with timing adjustments
-  // Use only events with notes for timing calculations
-  const noteEvents = state.events.filter(e => e.note);
-  const startTime = noteEvents[0].time;
-  
-  // First pass: create basic timing array
-  const rel = noteEvents.map((e, i) => ({
-    ...e,
-    t: Math.max(0, e.time - startTime)
-  }));
-  
-  // Second pass: apply timing thresholds for pleasant playback
-  for (let i = 1; i < rel.length; i++) {
-    const prevTime = rel[i - 1].t;
-    const timeDiff = rel[i].t - prevTime;
-    
-    // Clamp timing between notes to pleasant range
-    if (timeDiff < playbackTuning.minTimeBetweenNotes) {
-      rel[i].t = prevTime + playbackTuning.minTimeBetweenNotes;
-    } else if (timeDiff > playbackTuning.maxTimeBetweenNotes) {
-      rel[i].t = prevTime + playbackTuning.maxTimeBetweenNotes;
-    }
-  }
-
-  // Quantize times to tempo grid so bounces hit the beat
-  try {
-    const secondsPerBeat = 60 / playbackTuning.tempoBpm;
-    const grid = secondsPerBeat / playbackTuning.gridSubdivision;
-    for (let i = 0; i < rel.length; i++) {
-      rel[i].t = Math.round(rel[i].t / grid) * grid;
-      if (i > 0 && rel[i].t <= rel[i - 1].t) {
-        rel[i].t = rel[i - 1].t + grid; // ensure strictly increasing
-      }
-    }
-  } catch (_) {}
-
-  // Compute total duration slightly beyond last event
-  const totalDur = (rel[rel.length - 1].t || 0) + 0.35;
-
   // Create a Tone.Part to schedule in order (will be triggered by onUpdate sync)
   console.log('Creating Tone.Part with', rel.length, 'note events');
-  const part = new Tone.Part((time, value) => {
-    console.log('Playing note:', value.note, 'at time:', time);
-    if (value.note) state.synth?.triggerAttackRelease(value.note, 0.22, time);
-  }, rel.map((e, i) => [e.t, { note: e.note, index: i }]));
-  // Single pass playback for inactivity trigger
-  part.loop = false;
-  part.start(0);
-  console.log('Tone.Part started with loop enabled, duration:', totalDur);
-  state.playback.part = part;
+  state.playback.parts = [
+    ...scheduleMelody(rel, state),
+    scheduleTimeline(accompaniment, state, 'backing'),
+    schedulePercussion(percussion, state),
+  ];
+  console.log('Tone.Part started, duration:', totalDur);
   state.playback.isPlaying = true;
 
   // Clean up any existing animations and trail, then show ball
@@ -1145,13 +4644,6 @@ async function playSequence() {
   });
   state.playback.tl = tl;
   const local = (pt) => ({ x: pt.x, y: pt.y });
-  const playNoteAtIndex = (idx, when) => {
-    const e = rel[idx];
-    if (e?.note) {
-      // Slight voice overlap to avoid choppy transitions
-      state.synth?.triggerAttackRelease(e.note, 0.22 + playbackTuning.noteOverlapSec, when);
-    }
-  };
   const speedRatio = (state.playhead?.speedRatio) ?? 1.0;
   const trailScale = (state.playhead?.trailScale) ?? 1.0;
   for (let i = 0; i < keyframes.length - 1; i += 1) {
@@ -1183,10 +4675,6 @@ async function playSequence() {
       scale: `${0.9 + 0.2 * playbackTuning.playheadElasticity}`,
       rotation: 0,
       ease: `power1.inOut`,
-      onComplete: () => {
-        // Ensure a clicky bounce/play exactly on landing
-        playNoteAtIndex(i + 1, '+0');
-      },
       onUpdate: function() {
         // Optimized trail effect with performance controls
         const existingDots = trailLayer.children.length;
@@ -1246,6 +4734,7 @@ async function playSequence() {
   tl.eventCallback('onComplete', () => {
     try { Tone.Transport.stop(); Tone.Transport.position = 0; } catch (_) {}
     state.playback.isPlaying = false;
+    state.spatialStage?.reset();
   });
 }
 
@@ -1427,91 +4916,354 @@ function snapLettersToTypesetGrid() {
 // STORAGE MANAGEMENT
 // ============================================================================
 
+// Every edit calls this; writes are debounced into the IndexedDB library
 function persistToStorage() {
-  if (!CONFIG.STORAGE.ENABLED) return;
+  // Views derived from the events follow every edit, as does a running loop
+  if (isPianoRollOpen()) schedulePianoRollRender();
+  scheduleLineGutterRender();
+  scheduleLiveLoopSync();
+  if (!CONFIG.STORAGE.ENABLED || !window.indexedDB) return;
+  if (state.library.restoring) return;
+  clearTimeout(state.library.autosaveTimer);
+  state.library.autosaveTimer = setTimeout(() => {
+    state.library.autosaveTimer = null;
+    saveCurrentLetter().catch(error => console.warn('Failed to persist to storage:', error));
+  }, CONFIG.STORAGE.AUTOSAVE_DELAY_MS);
+}
+
+// Write any pending autosave immediately
+async function flushAutosave() {
+  if (!state.library.autosaveTimer) return;
+  clearTimeout(state.library.autosaveTimer);
+  state.library.autosaveTimer = null;
+  await saveCurrentLetter();
+}
+
+// Reopen the most recently edited letter from the library
+async function restoreFromStorage() {
   try {
-    const data = {
-      theme: state.theme,
-      pattern: state.pattern,
-      font: getComputedStyle(document.documentElement).getPropertyValue('--font-serif') || 'Playfair Display',
-      palette: document.getElementById('paletteSelect')?.value || 'majorC',
-      events: state.events,
-      version: '2.0'
-    };
-    localStorage.setItem(CONFIG.STORAGE.KEY, JSON.stringify(data));
+    // Clean up the old single-letter localStorage format
+    localStorage.removeItem('music-letter-v1');
+    localStorage.removeItem(CONFIG.STORAGE.KEY);
+  } catch (_) {}
+  if (!CONFIG.STORAGE.ENABLED || !window.indexedDB) return;
+  const letters = await listLibraryLetters();
+  // Anything typed while the library was being read wins over the saved letter
+  if (state.events.length || state.library.currentId) return;
+  if (letters.length) await openLibraryLetter(letters[0].id);
+}
+
+// ============================================================================
+// LETTER LIBRARY (IndexedDB)
+// ============================================================================
+
+function openLibraryDb() {
+  if (!openLibraryDb.promise) {
+    openLibraryDb.promise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(CONFIG.STORAGE.DB_NAME, CONFIG.STORAGE.DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains('letters')) {
+          db.createObjectStore('letters', { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains('versions')) {
+          const versions = db.createObjectStore('versions', { keyPath: 'id', autoIncrement: true });
+          versions.createIndex('letterId', 'letterId');
+        }
+        if (!db.objectStoreNames.contains('samples')) {
+          db.createObjectStore('samples', { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains('themes')) {
+          db.createObjectStore('themes', { keyPath: 'id' });
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    // Allow a retry after a failed open
+    openLibraryDb.promise.catch(() => { openLibraryDb.promise = null; });
+  }
+  return openLibraryDb.promise;
+}
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Run `fn(stores)` in one transaction and resolve once it commits
+async function libraryTransaction(storeNames, mode, fn) {
+  const db = await openLibraryDb();
+  const tx = db.transaction(storeNames, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onabort = tx.onerror = () => reject(tx.error);
+  });
+  // Observed up front: if `fn` throws, its error is the one reported
+  done.catch(() => {});
+  const stores = storeNames.map(name => tx.objectStore(name));
+  let result;
+  try {
+    result = await fn(...stores);
   } catch (error) {
-    console.warn('Failed to persist to storage:', error);
+    try { tx.abort(); } catch (_) {}
+    throw error;
   }
+  await done;
+  return result;
 }
 
-function restoreFromStorage() {
-  if (!CONFIG.STORAGE.ENABLED) {
-    // Clean up old storage when persistence is disabled
-    try { 
-      localStorage.removeItem('music-letter-v1');
-      localStorage.removeItem(CONFIG.STORAGE.KEY);
-    } catch (_) {}
-    return;
+// Letters sorted by last modification, newest first
+async function listLibraryLetters() {
+  const letters = await libraryTransaction(['letters'], 'readonly', store => idbRequest(store.getAll()));
+  return letters.sort((a, b) => b.modified - a.modified);
+}
+
+async function listLetterVersions(letterId) {
+  const versions = await libraryTransaction(['versions'], 'readonly',
+    store => idbRequest(store.index('letterId').getAll(letterId)));
+  return versions.sort((a, b) => b.created - a.created);
+}
+
+// Title from the first line of text, unless the user renamed the letter
+function deriveLetterTitle() {
+  const firstLine = state.events.map(e => e.char).join('').split('\n').find(line => line.trim());
+  return firstLine ? firstLine.trim().slice(0, 40) : 'Untitled letter';
+}
+
+async function saveCurrentLetter({ forceVersion = false } = {}) {
+  const lib = state.library;
+  // Don't create library entries for blank sheets
+  if (!lib.currentId && state.events.length === 0) return null;
+  const now = Date.now();
+  if (!lib.currentId) {
+    lib.currentId = `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    lib.lastVersionAt = 0;
   }
-  try {
-    const raw = localStorage.getItem(CONFIG.STORAGE.KEY);
-    if (!raw) return;
-    const data = JSON.parse(raw);
-    console.log('Restoring from storage:', data);
-    
-    // Set theme first but skip font setting if we have a custom font to restore
-    if (data.theme) {
-      console.log('Setting theme to:', data.theme);
-      state.theme = data.theme;
-      document.documentElement.setAttribute('data-theme', data.theme);
-      // Update notes palette per theme
-      state.keyToNote = buildKeyToNote(themes[data.theme]?.soundPalette || 'majorC');
-      // Sync UI selector if present
-      const paletteSelect = document.getElementById('paletteSelect');
-      if (paletteSelect) paletteSelect.value = themes[data.theme]?.soundPalette || 'majorC';
-      // Reconfigure synth if audio already started
-      try {
-        if (Tone.getContext().state === 'running' && state.synth) {
-          configureSynthForTheme(data.theme);
-        }
-      } catch (_) {}
-    }
-    
-    if (data.pattern) setPattern(data.pattern);
-    
-    // Set font after theme to ensure it doesn't get overridden
-    if (data.font) {
-      console.log('Setting font to:', data.font);
-      setFont(String(data.font).replace(/['",]/g, '').trim());
-    } else if (data.theme) {
-      // Only set theme default font if no custom font was saved
-      const themeFont = themes[data.theme]?.fontFamily || 'Playfair Display';
-      console.log('Setting theme default font to:', themeFont);
-      setFont(themeFont);
-    }
-    if (data.palette) {
-      const ps = document.getElementById('paletteSelect');
-      if (ps) ps.value = data.palette;
-      state.keyToNote = buildKeyToNote(data.palette);
-    }
-    if (Array.isArray(data.events)) {
-      // Rebuild letters visually without sounds
-      const container = document.getElementById('textArea');
-      // reset caret
-      if (nextCaretPosition.measurer) {
-        nextCaretPosition.measurer.remove();
-        nextCaretPosition.measurer = null;
-        nextCaretPosition.x = 0;
-        nextCaretPosition.y = 0;
-      }
-      state.events = [];
-      for (const ev of data.events) {
-        const pos = nextCaretPosition(container, ev.char);
-        if (ev.char !== '\n') createLetterSpan(ev.char, container, pos.x, pos.y);
-        recordEvent(ev.char, ev.note, pos);
-      }
+  const id = lib.currentId;
+  const data = serializeLetter();
+  const thumbnail = renderLetterThumbnail();
+  const takeVersion = forceVersion || now - lib.lastVersionAt >= CONFIG.STORAGE.VERSION_INTERVAL_MS;
+  await libraryTransaction(['letters', 'versions'], 'readwrite', async (letters, versions) => {
+    const existing = await idbRequest(letters.get(id));
+    const record = {
+      id,
+      title: existing?.customTitle ? existing.title : deriveLetterTitle(),
+      customTitle: !!existing?.customTitle,
+      created: existing?.created ?? now,
+      modified: now,
+      thumbnail,
+      data,
+    };
+    letters.put(record);
+    if (takeVersion) {
+      versions.add({ letterId: id, created: now, title: record.title, thumbnail, data });
+      // Keep only the newest versions per letter
+      const keys = await idbRequest(versions.index('letterId').getAllKeys(id));
+      const excess = keys.length - CONFIG.STORAGE.MAX_VERSIONS;
+      for (let i = 0; i < excess; i += 1) versions.delete(keys[i]);
     }
-  } catch (e) { /* ignore */ }
+  });
+  if (takeVersion) lib.lastVersionAt = now;
+  if (isLibraryOpen()) renderLibraryPanel();
+  return id;
+}
+
+// Load a saved letter onto the sheet; it starts with a fresh undo history
+async function openLibraryLetter(id) {
+  await flushAutosave();
+  const record = await libraryTransaction(['letters'], 'readonly', store => idbRequest(store.get(id)));
+  if (!record) return;
+  state.library.currentId = id;
+  state.library.lastVersionAt = Date.now();
+  loadLetterData(record.data);
+  editHistory.undo = [];
+  editHistory.redo = [];
+}
+
+function loadLetterData(data) {
+  state.library.restoring = true;
+  try {
+    withHistorySuspended(() => applyLetterData(data));
+  } finally {
+    state.library.restoring = false;
+  }
+}
+
+async function startNewLetter() {
+  await flushAutosave();
+  state.library.currentId = null;
+  withHistorySuspended(() => clearAll());
+  editHistory.undo = [];
+  editHistory.redo = [];
+  if (isLibraryOpen()) renderLibraryPanel();
+}
+
+async function renameLibraryLetter(id, title) {
+  await libraryTransaction(['letters'], 'readwrite', async (store) => {
+    const record = await idbRequest(store.get(id));
+    if (!record) return;
+    const trimmed = title.trim();
+    record.customTitle = !!trimmed;
+    record.title = trimmed || record.title;
+    store.put(record);
+  });
+}
+
+async function deleteLibraryLetter(id) {
+  await libraryTransaction(['letters', 'versions'], 'readwrite', async (letters, versions) => {
+    letters.delete(id);
+    const keys = await idbRequest(versions.index('letterId').getAllKeys(id));
+    keys.forEach(key => versions.delete(key));
+  });
+  if (id === state.library.currentId) await startNewLetter();
+}
+
+// Restoring a version replaces the current letter; it can be undone
+async function restoreLetterVersion(versionId) {
+  const version = await libraryTransaction(['versions'], 'readonly', store => idbRequest(store.get(versionId)));
+  if (!version) return;
+  await flushAutosave();
+  state.library.currentId = version.letterId;
+  recordHistory();
+  withHistorySuspended(() => applyLetterData(version.data));
+  await saveCurrentLetter({ forceVersion: true });
+}
+
+// Small PNG preview of the sheet drawn from event positions
+function renderLetterThumbnail() {
+  const container = document.getElementById('textArea');
+  const canvas = document.createElement('canvas');
+  canvas.width = 240;
+  canvas.height = 160;
+  const ctx = canvas.getContext?.('2d');
+  if (!ctx || !container) return '';
+  const rootStyle = getComputedStyle(document.documentElement);
+  ctx.fillStyle = rootStyle.getPropertyValue('--paper').trim() || '#ffffff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  const width = container.getBoundingClientRect().width || 800;
+  const scale = (canvas.width - 16) / width;
+  const fontSize = (parseFloat(getComputedStyle(container).fontSize) || 24) * scale;
+  ctx.fillStyle = rootStyle.getPropertyValue('--ink').trim() || '#222222';
+  ctx.font = `${fontSize}px ${rootStyle.getPropertyValue('--font-serif') || 'serif'}`;
+  ctx.textBaseline = 'top';
+  for (const ev of state.events) {
+    if (ev.char === '\n' || ev.char === ' ') continue;
+    ctx.fillText(ev.char, 8 + ev.x * scale, 8 + ev.y * scale);
+  }
+  return canvas.toDataURL('image/png');
+}
+
+function isLibraryOpen() {
+  const panel = document.getElementById('libraryPanel');
+  return !!panel && !panel.hidden;
+}
+
+function toggleLibraryPanel(open = !isLibraryOpen()) {
+  const panel = document.getElementById('libraryPanel');
+  if (!panel) return;
+  if (open) closeOtherSidePanels(panel);
+  panel.hidden = !open;
+  if (open) {
+    flushAutosave().finally(renderLibraryPanel);
+  }
+}
+
+async function renderLibraryPanel() {
+  const list = document.getElementById('libraryList');
+  if (!list) return;
+  let letters = [];
+  try {
+    letters = await listLibraryLetters();
+  } catch (error) {
+    console.error('Failed to read library:', error);
+    showError('Could not open the letter library.');
+    return;
+  }
+  list.innerHTML = '';
+  if (letters.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'library-empty';
+    empty.textContent = 'No saved letters yet. Start typing and they will appear here.';
+    list.appendChild(empty);
+    return;
+  }
+  for (const letter of letters) {
+    const item = document.createElement('li');
+    item.className = 'library-item';
+    item.classList.toggle('current', letter.id === state.library.currentId);
+
+    const thumb = document.createElement('img');
+    thumb.className = 'library-thumb';
+    thumb.alt = '';
+    if (letter.thumbnail) thumb.src = letter.thumbnail;
+
+    const info = document.createElement('div');
+    info.className = 'library-info';
+    const title = document.createElement('input');
+    title.type = 'text';
+    title.value = letter.title;
+    title.setAttribute('aria-label', 'Letter title');
+    title.addEventListener('change', () => renameLibraryLetter(letter.id, title.value));
+    const dates = document.createElement('small');
+    dates.textContent = `Created ${new Date(letter.created).toLocaleString()} · Edited ${new Date(letter.modified).toLocaleString()}`;
+    info.append(title, dates);
+
+    const actions = document.createElement('div');
+    actions.className = 'library-actions';
+    const openBtn = document.createElement('button');
+    openBtn.textContent = 'Open';
+    openBtn.addEventListener('click', () => openLibraryLetter(letter.id).then(renderLibraryPanel));
+    const versionsBtn = document.createElement('button');
+    versionsBtn.textContent = 'Versions';
+    versionsBtn.addEventListener('click', () => renderVersionList(letter));
+    const deleteBtn = document.createElement('button');
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', () => {
+      if (!confirm(`Delete "${letter.title}" and all of its versions?`)) return;
+      deleteLibraryLetter(letter.id).then(renderLibraryPanel);
+    });
+    actions.append(openBtn, versionsBtn, deleteBtn);
+
+    item.append(thumb, info, actions);
+    list.appendChild(item);
+  }
+}
+
+async function renderVersionList(letter) {
+  const list = document.getElementById('libraryList');
+  if (!list) return;
+  const versions = await listLetterVersions(letter.id);
+  list.innerHTML = '';
+  const back = document.createElement('li');
+  back.className = 'library-back';
+  const backBtn = document.createElement('button');
+  backBtn.textContent = `← Versions of "${letter.title}"`;
+  backBtn.addEventListener('click', renderLibraryPanel);
+  back.appendChild(backBtn);
+  list.appendChild(back);
+  for (const version of versions) {
+    const item = document.createElement('li');
+    item.className = 'library-item';
+    const thumb = document.createElement('img');
+    thumb.className = 'library-thumb';
+    thumb.alt = '';
+    if (version.thumbnail) thumb.src = version.thumbnail;
+    const info = document.createElement('div');
+    info.className = 'library-info';
+    const label = document.createElement('span');
+    label.textContent = new Date(version.created).toLocaleString();
+    const count = document.createElement('small');
+    count.textContent = `${version.data.events?.length || 0} characters`;
+    info.append(label, count);
+    const restoreBtn = document.createElement('button');
+    restoreBtn.textContent = 'Restore';
+    restoreBtn.addEventListener('click', () => restoreLetterVersion(version.id).then(renderLibraryPanel));
+    item.append(thumb, info, restoreBtn);
+    list.appendChild(item);
+  }
 }
 
 function init() {
@@ -1524,7 +5276,9 @@ function init() {
     // Set default theme and sound palette
     state.theme = 'classic';
     document.documentElement.setAttribute('data-theme', 'classic');
-    state.keyToNote = buildKeyToNote(themes['classic']?.soundPalette || 'majorC');
+    state.palette = normalizePalette(themes['classic']?.palette);
+    state.keyToNote = buildKeyToNote(state.palette);
+    syncPaletteControls();
     
     // Configure synth for theme
     try {
@@ -1545,6 +5299,37 @@ function init() {
   
   console.log('Mobile device detected:', isMobile);
   
+  // Click a letter to move the caret there; drag across letters to select
+  const textArea = document.getElementById('textArea');
+  textArea?.addEventListener('pointerdown', placeCaretFromPointer);
+  textArea?.addEventListener('pointermove', handleSelectionDrag);
+  textArea?.addEventListener('click', handleLetterClick);
+  initNotePopover();
+  initPianoRoll();
+  initMappingPanel();
+  initTuningControls();
+  initSampleControls();
+  initRhythmPanel();
+  initLoopControls();
+  initEffectsPanel();
+  initThemePacks();
+  initLineVoices();
+  document.addEventListener('pointerup', () => { state.dragSelecting = false; });
+  // Copy/cut/paste of selected letters keeps their notes; other pasted text is typed out
+  ['copy', 'cut', 'paste'].forEach(type => sheet.addEventListener(type, handleClipboardEvent));
+  // Dropping a .txt file or text turns it into letters with a typing rhythm
+  sheet.addEventListener('dragover', handleSheetDragOver);
+  sheet.addEventListener('drop', handleSheetDrop);
+  initSelectionBar();
+
+  // Held keys sustain their note; focus loss can swallow the keyup
+  document.addEventListener('keyup', handleKeyUp);
+  window.addEventListener('blur', releaseAllHeldNotes);
+
+  // Committed IME strings (Chinese, Japanese, Korean, ...) arrive whole
+  mobileInput?.addEventListener('compositionstart', handleCompositionStart);
+  mobileInput?.addEventListener('compositionend', handleCompositionEnd);
+
   // Set up keyboard event handling
   if (isMobile && mobileInput) {
     // Mobile: Use hidden input for keyboard events
@@ -1582,8 +5367,10 @@ function init() {
       }
     });
   } else {
-    // Desktop: Use sheet directly for keyboard events
+    // Desktop: keys reach the sheet through the hidden input, which IMEs need to compose into
     sheet.addEventListener('keydown', handleKeyDown);
+    mobileInput?.addEventListener('input', handleMobileInput);
+    sheet.addEventListener('focus', () => mobileInput?.focus({ preventScroll: true }));
     sheet.addEventListener('pointerdown', (e) => {
       // Don't focus if the click is within the font picker area
       const fontPicker = document.getElementById('fontPicker');
@@ -1627,6 +5414,24 @@ function init() {
       });
     }
     
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+    if (undoBtn) undoBtn.addEventListener('click', undo);
+    if (redoBtn) redoBtn.addEventListener('click', redo);
+
+    // Undo/redo shortcuts work anywhere except inside other editable controls
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target !== document.getElementById('mobileInput')
+        && e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' || key === 'y') {
+        e.preventDefault();
+        if (key === 'y' || e.shiftKey) redo();
+        else undo();
+      }
+    });
+
     if (clearBtn) {
       clearBtn.addEventListener('click', () => {
         try {
@@ -1671,17 +5476,21 @@ function init() {
 
   // Close when clicking anywhere outside
   document.addEventListener('click', () => setOpen(false));
-  const paletteSelect = document.getElementById('paletteSelect');
-  paletteSelect.addEventListener('change', (e) => {
-    state.keyToNote = buildKeyToNote(e.target.value);
-    persistToStorage();
+  ['keyRootSelect', 'scaleSelect', 'octaveSelect', 'octaveSpanSelect'].forEach((id) => {
+    document.getElementById(id)?.addEventListener('change', () => setPalette(readPaletteControls()));
   });
   const alignSelect = document.getElementById('alignSelect');
   alignSelect.addEventListener('change', (e) => setAlign(e.target.value));
   const soundSelect = document.getElementById('soundSelect');
-  soundSelect.addEventListener('change', (e) => {
-    ensureAudio().then(() => setSoundPreset(e.target.value));
+  soundSelect.addEventListener('change', (e) => selectSound(e.target.value));
+  document.getElementById('accompanimentSelect')?.addEventListener('change', (e) => {
+    setAccompaniment({ style: e.target.value });
   });
+  document.getElementById('accompanimentSpanSelect')?.addEventListener('change', (e) => {
+    setAccompaniment({ span: e.target.value });
+  });
+  document.getElementById('percussionToggle')?.addEventListener('change', (e) => setPercussion(e.target.checked));
+  document.getElementById('spatialToggle')?.addEventListener('change', (e) => setSpatial(e.target.checked));
   const volumeRange = document.getElementById('volumeRange');
   volumeRange.addEventListener('input', (e) => setMasterVolumeDb(parseFloat(e.target.value)));
   const elasticityRange = document.getElementById('elasticityRange');
@@ -1689,11 +5498,16 @@ function init() {
     playbackTuning.playheadElasticity = parseFloat(e.target.value);
     playbackTuning.letterElasticity = parseFloat(e.target.value) * 0.6; // Letters slightly less bouncy
   });
+  const paceRange = document.getElementById('paceRange');
+  paceRange?.addEventListener('input', (e) => {
+    typingRhythm.charsPerSecond = parseFloat(e.target.value);
+  });
   const timingRange = document.getElementById('timingRange');
   timingRange.addEventListener('input', (e) => {
     const factor = parseFloat(e.target.value);
     playbackTuning.minTimeBetweenNotes = 0.08 * factor;
     playbackTuning.maxTimeBetweenNotes = 2.0 * factor;
+    if (isPianoRollOpen()) schedulePianoRollRender();
   });
   const playheadSelect = document.getElementById('playheadSelect');
   playheadSelect.addEventListener('change', (e) => setPlayheadStyle(e.target.value));
@@ -1707,6 +5521,23 @@ function init() {
   if (exportMp3Btn) exportMp3Btn.addEventListener('click', exportAsMp3);
   const exportLrcBtn = document.getElementById('exportLrcBtn');
   if (exportLrcBtn) exportLrcBtn.addEventListener('click', exportAsLrc);
+  const exportMidiBtn = document.getElementById('exportMidiBtn');
+  if (exportMidiBtn) exportMidiBtn.addEventListener('click', exportAsMidi);
+
+  // Letter library
+  document.getElementById('libraryBtn')?.addEventListener('click', () => toggleLibraryPanel());
+  document.getElementById('closeLibraryBtn')?.addEventListener('click', () => toggleLibraryPanel(false));
+  document.getElementById('newLetterBtn')?.addEventListener('click', () => startNewLetter());
+  document.getElementById('saveVersionBtn')?.addEventListener('click', () => {
+    saveCurrentLetter({ forceVersion: true }).catch(error => {
+      console.error('Saving version failed:', error);
+      showError('Could not save a version of this letter.');
+    });
+  });
+  // Save pending edits when the tab is hidden or closed
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flushAutosave().catch(() => {});
+  });
 
   // Physics
   initPhysics();
@@ -1715,14 +5546,13 @@ function init() {
     buildGroundBodies();
     // Also reflow letters to handle container size changes
     reflowExistingLetters();
+    scheduleLineGutterRender();
   });
 
-    // Restore previous state
-    try {
-      restoreFromStorage();
-    } catch (error) {
+    // Restore the last letter from the library (applies asynchronously)
+    restoreFromStorage().catch(error => {
       console.warn('Failed to restore from storage:', error);
-    }
+    });
 
     // Set default font to Pacifico (after restore to override stored settings)
     if (state.events.length === 0) {
@@ -1782,6 +5612,10 @@ function init() {
       });
     }
     
+    // Start-up defaults are not undoable edits
+    editHistory.undo = [];
+    editHistory.redo = [];
+
     // Start performance monitoring
     startPerformanceMonitoring();
     
@@ -1820,32 +5654,44 @@ function setPlayheadStyle(style) {
   }
 }
 
-function exportAsJson() {
-  const alignSelect = document.getElementById('alignSelect');
+// Snapshot of the letter and its settings in the JSON export format
+function serializeLetter() {
   const playheadSelect = document.getElementById('playheadSelect');
-  const soundSelect = document.getElementById('soundSelect');
   const volumeRange = document.getElementById('volumeRange');
   const elasticityRange = document.getElementById('elasticityRange');
   const timingRange = document.getElementById('timingRange');
-  const paletteSelect = document.getElementById('paletteSelect');
 
-  const data = {
+  return {
     theme: state.theme,
+    // Imported packs travel with the letter so it opens the same elsewhere
+    themePack: BUILT_IN_THEMES.includes(state.theme) ? undefined : themes[state.theme],
     pattern: state.pattern,
     align: state.align,
-    font: getComputedStyle(document.documentElement)
-      .getPropertyValue('--font-serif')
-      .replace(/['",]/g, '')
-      .trim(),
-    palette: paletteSelect?.value || 'majorC',
+    font: state.font,
+    palette: { ...state.palette },
+    mapping: normalizeMapping(state.mapping),
+    mappingPresets: { ...state.mappingPresets },
+    effects: state.effectsRack.map(effect => ({ ...effect })),
+    rackPresets: { ...state.rackPresets },
     playheadStyle: playheadSelect?.value || 'classic',
-    soundPreset: soundSelect?.value || 'sine_soft',
+    soundPreset: state.soundPreset, // null = the theme's voice
+    accompaniment: { ...state.accompaniment },
+    percussion: state.percussion,
+    spatial: state.spatial,
+    rhythm: currentRhythm(),
+    loop: { ...state.loop, delayMs: state.inactivityMs },
+    tuning: serializeTuning(),
+    lineVoices: { ...state.lineVoices },
     volumeDb: typeof volumeRange?.value === 'string' ? parseFloat(volumeRange.value) : -12,
     elasticity: typeof elasticityRange?.value === 'string' ? parseFloat(elasticityRange.value) : playbackTuning.playheadElasticity,
     timingFactor: typeof timingRange?.value === 'string' ? parseFloat(timingRange.value) : 1.0,
-    events: state.events,
+    events: state.events.map(e => ({ ...e })),
     version: '2.0',
   };
+}
+
+function exportAsJson() {
+  const data = serializeLetter();
   const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
@@ -1864,72 +5710,112 @@ function handleImportJson(ev) {
   reader.onload = () => {
     try {
       const data = JSON.parse(String(reader.result));
-      clearAll();
-      if (data.theme) setTheme(data.theme);
-      if (data.pattern) setPattern(data.pattern);
-      if (data.font) setFont(String(data.font));
-      if (data.align) {
-        const alignSelect = document.getElementById('alignSelect');
-        if (alignSelect) alignSelect.value = data.align;
-        setAlign(data.align);
-      }
-      if (data.palette) {
-        const ps = document.getElementById('paletteSelect');
-        if (ps) ps.value = data.palette;
-        state.keyToNote = buildKeyToNote(data.palette);
-      }
-      if (data.playheadStyle) {
-        const playheadSelect = document.getElementById('playheadSelect');
-        if (playheadSelect) playheadSelect.value = data.playheadStyle;
-        setPlayheadStyle(data.playheadStyle);
-      }
-      if (data.soundPreset) {
-        const soundSelect = document.getElementById('soundSelect');
-        if (soundSelect) soundSelect.value = data.soundPreset;
-        try {
-          ensureAudio().then(() => setSoundPreset(data.soundPreset));
-        } catch (_) {}
-      }
-      if (typeof data.volumeDb === 'number') {
-        const volumeRange = document.getElementById('volumeRange');
-        if (volumeRange) volumeRange.value = String(data.volumeDb);
-        setMasterVolumeDb(data.volumeDb);
-      }
-      if (typeof data.elasticity === 'number') {
-        const elasticityRange = document.getElementById('elasticityRange');
-        if (elasticityRange) elasticityRange.value = String(data.elasticity);
-        playbackTuning.playheadElasticity = data.elasticity;
-        playbackTuning.letterElasticity = data.elasticity * 0.6;
-      }
-      if (typeof data.timingFactor === 'number') {
-        const timingRange = document.getElementById('timingRange');
-        if (timingRange) timingRange.value = String(data.timingFactor);
-        const factor = data.timingFactor;
-        playbackTuning.minTimeBetweenNotes = 0.08 * factor;
-        playbackTuning.maxTimeBetweenNotes = 2.0 * factor;
-      }
-      const container = document.getElementById('textArea');
-      if (nextCaretPosition.measurer) {
-        nextCaretPosition.measurer.remove();
-        nextCaretPosition.measurer = null;
-        nextCaretPosition.x = 0;
-        nextCaretPosition.y = 0;
-      }
-      state.events = [];
-      for (const e of (data.events || [])) {
-        const pos = nextCaretPosition(container, e.char);
-        if (e.char !== '\n') createLetterSpan(e.char, container, pos.x, pos.y);
-        recordEvent(e.char, e.note, pos);
-      }
-      // Reflow to ensure imported alignment and metrics are applied
-      try { reflowExistingLetters(); } catch (_) {}
-      persistToStorage();
+      // The whole import is a single undo step
+      recordHistory();
+      withHistorySuspended(() => applyLetterData(data));
     } catch (_) {}
     ev.target.value = '';
   };
   reader.readAsText(file);
 }
 
+// Apply a saved letter (the exportAsJson format): settings first, then events
+function applyLetterData(data) {
+  clearAll();
+  if (data.themePack) {
+    try {
+      const pack = normalizeThemePack(data.themePack);
+      if (!themes[pack.id]) registerThemePack(pack);
+    } catch (error) {
+      console.error('Saved theme pack could not be read:', error);
+    }
+  }
+  if (data.theme) setTheme(data.theme);
+  if (data.pattern) setPattern(data.pattern);
+  if (data.font) setFont(String(data.font));
+  if (data.align) setAlign(data.align);
+  // Tuning first: the palette and mapping are built on top of it
+  try {
+    setTuning(data.tuning?.scl ? parseScalaTuning(data.tuning.scl, data.tuning.kbm, data.tuning.name) : null);
+  } catch (error) {
+    console.error('Saved tuning could not be read:', error);
+    setTuning(null);
+  }
+  if (data.palette) setPalette(data.palette);
+  // Letters saved before custom mappings used the cyclic one
+  setMapping(data.mapping || {});
+  // Presets from other letters stay available alongside the imported ones
+  if (data.mappingPresets && typeof data.mappingPresets === 'object') {
+    for (const [name, preset] of Object.entries(data.mappingPresets)) {
+      state.mappingPresets[name] = normalizeMapping(preset);
+    }
+    if (isMappingPanelOpen()) renderMappingPresetOptions();
+  }
+  // Letters saved before the effects rack used the default delay and reverb
+  setEffectsRack(data.effects ?? defaultEffectsRack());
+  if (data.rackPresets && typeof data.rackPresets === 'object') {
+    for (const [name, preset] of Object.entries(data.rackPresets)) {
+      if (!preset || typeof preset !== 'object') continue;
+      state.rackPresets[name] = { sound: String(preset.sound || 'sine_soft'), effects: normalizeEffectsRack(preset.effects) };
+    }
+    if (isEffectsPanelOpen()) renderRackPresetOptions();
+  }
+  if (data.playheadStyle) {
+    const playheadSelect = document.getElementById('playheadSelect');
+    if (playheadSelect) playheadSelect.value = data.playheadStyle;
+    setPlayheadStyle(data.playheadStyle);
+  }
+  // Before audio starts this only records the sound; ensureAudio builds it later
+  if (data.soundPreset) {
+    const soundSelect = document.getElementById('soundSelect');
+    if (soundSelect) soundSelect.value = data.soundPreset;
+    restoreSoundPreset(data.soundPreset);
+  }
+  setAccompaniment(data.accompaniment || { style: 'off' });
+  setPercussion(data.percussion === true);
+  setSpatial(data.spatial === true);
+  // Letters saved before the rhythm panel used 96 BPM eighth notes
+  setRhythm({ bpm: 96, grid: 2, strength: 1, swing: 0, humanizeMs: 0, ...data.rhythm });
+  setLoop({ enabled: false, bars: 4, delayMs: 2500, ...data.loop });
+  if (typeof data.volumeDb === 'number') {
+    const volumeRange = document.getElementById('volumeRange');
+    if (volumeRange) volumeRange.value = String(data.volumeDb);
+    setMasterVolumeDb(data.volumeDb);
+  }
+  if (typeof data.elasticity === 'number') {
+    const elasticityRange = document.getElementById('elasticityRange');
+    if (elasticityRange) elasticityRange.value = String(data.elasticity);
+    playbackTuning.playheadElasticity = data.elasticity;
+    playbackTuning.letterElasticity = data.elasticity * 0.6;
+  }
+  if (typeof data.timingFactor === 'number') {
+    const timingRange = document.getElementById('timingRange');
+    if (timingRange) timingRange.value = String(data.timingFactor);
+    const factor = data.timingFactor;
+    playbackTuning.minTimeBetweenNotes = 0.08 * factor;
+    playbackTuning.maxTimeBetweenNotes = 2.0 * factor;
+  }
+  const container = document.getElementById('textArea');
+  if (nextCaretPosition.measurer) {
+    nextCaretPosition.measurer.remove();
+    nextCaretPosition.measurer = null;
+    nextCaretPosition.x = 0;
+    nextCaretPosition.y = 0;
+  }
+  state.events = [];
+  for (const e of (data.events || [])) {
+    const pos = nextCaretPosition(container, e.char);
+    if (e.char !== '\n') createLetterSpan(e.char, container, pos.x, pos.y);
+    recordEvent(e.char, e.note, pos, e);
+  }
+  // After the events, so loading them doesn't shift the voices
+  setLineVoices(data.lineVoices);
+  if (state.events.length && state.welcomeShown) clearWelcomeText();
+  // Reflow to ensure imported alignment and metrics are applied
+  try { reflowExistingLetters(); } catch (_) {}
+  persistToStorage();
+}
+
 async function exportAsWav() {
   // Render scheduled notes in an OfflineContext to a WAV Blob
   console.log('exportAsWav called, events:', state.events.length);
@@ -1938,25 +5824,12 @@ async function exportAsWav() {
       console.log('No events to export');
       return;
     }
-    const relStart = state.events[0].time;
-    const rel = state.events.map(e => ({ t: Math.max(0, e.time - relStart), note: e.note })).filter(e => e.note);
-    const totalDur = (rel.length ? rel[rel.length - 1].t : 0) + 0.8;
-
-    // Set up offline rendering context
-    const offline = new Tone.Offline(({ transport }) => {
-      const reverb = new Tone.Reverb({ decay: 1.6, wet: 0.2 }).toDestination();
-      const delay = new Tone.FeedbackDelay({ delayTime: 0.15, feedback: 0.15, wet: 0.12 }).connect(reverb);
-      const synth = new Tone.PolySynth(Tone.Synth, {
-        oscillator: { type: 'sine' },
-        envelope: { attack: 0.005, decay: 0.2, sustain: 0.1, release: 0.5 },
-      }).connect(delay);
-      const part = new Tone.Part((time, v) => synth.triggerAttackRelease(v.note, 0.22, time), rel.map(r => [r.t, { note: r.note }]));
-      part.start(0);
-      transport.start();
-    }, totalDur);
+    const timeline = buildPlaybackTimeline();
+    if (!timeline.notes.length) return;
 
+    // Render through the live sound chain in an offline context
     console.log('Rendering audio offline...');
-    const buffer = await offline;
+    const buffer = await renderTimelineOffline(timeline);
     console.log('Audio rendered, converting to WAV...');
     const wav = toneAudioBufferToWav(buffer);
     const blob = new Blob([wav], { type: 'audio/wav' });
@@ -2024,25 +5897,13 @@ function writeString(view, offset, str) {
 async function exportAsMp3() {
   try {
     if (!state.events.length) return;
-    // Build relative, note-only timeline like WAV export
-    const relStart = state.events[0].time;
-    const rel = state.events
-      .map(e => ({ t: Math.max(0, e.time - relStart), note: e.note, char: e.char }))
-      .filter(e => e.note);
-    const totalDur = (rel.length ? rel[rel.length - 1].t : 0) + 0.8;
+    // Same timeline and sound chain as live playback
+    const timeline = buildPlaybackTimeline();
+    if (!timeline.notes.length) return;
+    const rel = timeline.notes;
 
     // Render offline to PCM buffer
-    const offlineBuffer = await new Tone.Offline(({ transport }) => {
-      const reverb = new Tone.Reverb({ decay: 1.6, wet: 0.2 }).toDestination();
-      const delay = new Tone.FeedbackDelay({ delayTime: 0.15, feedback: 0.15, wet: 0.12 }).connect(reverb);
-      const synth = new Tone.PolySynth(Tone.Synth, {
-        oscillator: { type: 'sine' },
-        envelope: { attack: 0.005, decay: 0.2, sustain: 0.1, release: 0.5 },
-      }).connect(delay);
-      const part = new Tone.Part((time, v) => synth.triggerAttackRelease(v.note, 0.22, time), rel.map(r => [r.t, { note: r.note }]));
-      part.start(0);
-      transport.start();
-    }, totalDur);
+    const offlineBuffer = await renderTimelineOffline(timeline);
 
     // Encode to MP3 using lamejs
     const numChannels = offlineBuffer.numberOfChannels;
@@ -2104,16 +5965,154 @@ function floatTo16(f32arr) {
   return i16;
 }
 
+// Export a Standard MIDI File (type 1): a tempo track, a melody track whose
+// notes carry the typed characters as lyric meta-events, the accompaniment and drums
+function exportAsMidi() {
+  try {
+    const { notes, accompaniment, percussion } = buildPlaybackTimeline();
+    if (!notes.length) return;
+    const ppq = 480;
+    const ticksPerSecond = ppq * playbackTuning.tempoBpm / 60;
+    const toTicks = (sec) => Math.max(0, Math.round(sec * ticksPerSecond));
+    const encoder = new TextEncoder();
+
+    // Track 0: tempo map and time signature
+    const usPerQuarter = Math.round(60000000 / playbackTuning.tempoBpm);
+    const tempoTrack = [
+      { tick: 0, order: 0, bytes: midiMetaEvent(0x03, encoder.encode('Music Letter')) },
+      { tick: 0, order: 0, bytes: midiMetaEvent(0x51, [(usPerQuarter >> 16) & 0xff, (usPerQuarter >> 8) & 0xff, usPerQuarter & 0xff]) },
+      { tick: 0, order: 0, bytes: midiMetaEvent(0x58, [4, 2, 24, 8]) },
+    ];
+
+    // Track 1: melody with one lyric per note; note-offs sort before note-ons on the same tick
+    const melodyTrack = [
+      { tick: 0, order: 0, bytes: midiMetaEvent(0x03, encoder.encode('Letter')) },
+    ];
+    for (const n of notes) {
+      const pitch = Math.max(0, Math.min(127, Math.round(noteToMidi(n.note))));
+      const on = toTicks(n.t);
+      const off = Math.max(on + 1, toTicks(n.t + n.duration));
+      melodyTrack.push({ tick: on, order: 1, bytes: midiMetaEvent(0x05, encoder.encode(n.char)) });
+      const velocity = Math.max(1, Math.min(127, Math.round(n.velocity * 127)));
+      melodyTrack.push({ tick: on, order: 2, bytes: [0x90, pitch, velocity] });
+      melodyTrack.push({ tick: off, order: 0, bytes: [0x80, pitch, 0] });
+    }
+
+    const tracks = [tempoTrack, melodyTrack];
+
+    // Track 2: accompaniment on its own channel
+    if (accompaniment.length) {
+      const backingTrack = [
+        { tick: 0, order: 0, bytes: midiMetaEvent(0x03, encoder.encode('Accompaniment')) },
+      ];
+      for (const n of accompaniment) {
+        const pitch = Math.max(0, Math.min(127, Math.round(noteToMidi(n.note))));
+        const on = toTicks(n.t);
+        const off = Math.max(on + 1, toTicks(n.t + n.duration));
+        const velocity = Math.max(1, Math.min(127, Math.round(n.velocity * 127)));
+        backingTrack.push({ tick: on, order: 2, bytes: [0x91, pitch, velocity] });
+        backingTrack.push({ tick: off, order: 0, bytes: [0x81, pitch, 0] });
+      }
+      tracks.push(backingTrack);
+    }
+
+    // Drums on the General MIDI percussion channel (10)
+    if (percussion.length) {
+      const drumTrack = [
+        { tick: 0, order: 0, bytes: midiMetaEvent(0x03, encoder.encode('Drums')) },
+      ];
+      for (const hit of percussion) {
+        const key = percussionTuning.midiNote[hit.drum];
+        const on = toTicks(hit.t);
+        const velocity = Math.max(1, Math.min(127, Math.round(hit.velocity * 127)));
+        drumTrack.push({ tick: on, order: 2, bytes: [0x99, key, velocity] });
+        drumTrack.push({ tick: on + ppq / 8, order: 0, bytes: [0x89, key, 0] });
+      }
+      tracks.push(drumTrack);
+    }
+
+    const header = [
+      ...asciiBytes('MThd'), 0, 0, 0, 6,
+      0, 1,                       // format 1
+      0, tracks.length,
+      (ppq >> 8) & 0xff, ppq & 0xff,
+    ];
+    const bytes = new Uint8Array([
+      ...header,
+      ...tracks.flatMap(midiTrackChunk),
+    ]);
+
+    const blob = new Blob([bytes], { type: 'audio/midi' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'music-letter.mid';
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+  } catch (e) {
+    console.error('MIDI export failed:', e);
+  }
+}
+
+// Helper: fractional MIDI note number for a note name or frequency
+function noteToMidi(note) {
+  const hz = Tone.Frequency(note).toFrequency();
+  return 69 + 12 * Math.log2(hz / 440);
+}
+
+// Helper: serialize timed events ({ tick, order, bytes }) into an MTrk chunk
+function midiTrackChunk(events) {
+  const sorted = [...events].sort((a, b) => (a.tick - b.tick) || (a.order - b.order));
+  const data = [];
+  let lastTick = 0;
+  for (const ev of sorted) {
+    data.push(...midiVarLen(ev.tick - lastTick), ...ev.bytes);
+    lastTick = ev.tick;
+  }
+  // End of track
+  data.push(0, 0xff, 0x2f, 0);
+  const len = data.length;
+  return [
+    ...asciiBytes('MTrk'),
+    (len >>> 24) & 0xff, (len >> 16) & 0xff, (len >> 8) & 0xff, len & 0xff,
+    ...data,
+  ];
+}
+
+function midiMetaEvent(type, payload) {
+  return [0xff, type, ...midiVarLen(payload.length), ...payload];
+}
+
+// MIDI variable-length quantity (7 bits per byte, high bit = continuation)
+function midiVarLen(value) {
+  const bytes = [value & 0x7f];
+  let v = value >> 7;
+  while (v > 0) {
+    bytes.unshift((v & 0x7f) | 0x80);
+    v >>= 7;
+  }
+  return bytes;
+}
+
+function asciiBytes(str) {
+  return Array.from(str, ch => ch.charCodeAt(0));
+}
+
 // Export time-synced lyrics as .lrc (common karaoke format)
 function exportAsLrc() {
   if (!state.events.length) return;
-  // Build timing baseline
+  // Lines start when their first note plays, so lyrics follow the audio exports
+  const { notes } = buildPlaybackTimeline();
+  const playedAt = new Map(notes.map(n => [n.index, n.t]));
   const relStart = state.events[0].time;
+  let lastT = 0;
   // Group characters into lines split by \n, with timestamps from first char in each word/line
   const lines = [];
   let currentLineChars = [];
   let currentLineTimes = [];
-  for (const e of state.events) {
+  for (const [index, e] of state.events.entries()) {
     if (e.char === '\n') {
       if (currentLineChars.length) {
         lines.push({ text: currentLineChars.join(''), t: currentLineTimes[0] ?? 0 });
@@ -2123,7 +6122,8 @@ function exportAsLrc() {
       continue;
     }
     currentLineChars.push(e.char);
-    currentLineTimes.push(Math.max(0, e.time - relStart));
+    if (playedAt.has(index)) lastT = playedAt.get(index);
+    currentLineTimes.push(playedAt.get(index) ?? (notes.length ? lastT : Math.max(0, e.time - relStart)));
   }
   if (currentLineChars.length) {
     lines.push({ text: currentLineChars.join(''), t: currentLineTimes[0] ?? 0 });